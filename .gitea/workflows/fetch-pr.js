@@ -10,8 +10,39 @@
  * - Conversation comments (issue comments on the PR)
  * - Reviews (approve, request changes, comment)
  * - Review comments (inline code review comments)
+ * - Changed files and the unified diff against the base branch
  *
- * Output is written to pr.md
+ * Review comments are grouped into threads by file and line, with the
+ * `diff_hunk` snippet they refer to, their resolved/outdated state and the
+ * real new-file line number derived from the hunk.
+ *
+ * With PR_HISTORY_MODE=timeline, conversation comments and reviews are
+ * replaced by a single chronological log built from the issue timeline
+ * (comments, reviews, pushes, label/assignee changes, ...), with entries
+ * since the last Laforge run marked as new.
+ *
+ * Each run also writes .pr/new-activity.md with only the activity since the
+ * last completed run (whose cursor is kept in the PR state store), headed by
+ * the comment or review that triggered this run, and records its own cursor
+ * in .pr/run-cursor.json for save-run-cursor.js (see lib/new-activity.js).
+ *
+ * Laforge's PR state comment (see lib/pr-state.js) and its live progress
+ * comments (lib/progress-comment.js) are left out of the history, and the
+ * hidden markers in its other comments are removed.
+ *
+ * Issues and PRs referenced from the PR ("Fixes #12", other/repo#3, issue
+ * URLs) are fetched with their comments into a "Linked Issues" section (see
+ * lib/linked-issues.js).
+ *
+ * Files attached to the PR text are downloaded to .pr/attachments/, listed
+ * in .pr/attachments/index.json and linked locally (see lib/attachments.js).
+ *
+ * All list endpoints are paginated, so long PRs are not truncated.
+ *
+ * Secrets in the PR text and diff (tokens, keys, passwords; see
+ * lib/redact.js) are redacted before anything is written.
+ *
+ * Output is written to .pr/history.md
  *
  * Required environment variables:
  * - GITEA_TOKEN: API token for authentication
@@ -19,178 +50,340 @@
  * - GITEA_REPO_OWNER: Repository owner
  * - GITEA_REPO_NAME: Repository name
  * - PR_INDEX: Pull request number
+ *
+ * Optional environment variables:
+ * - PR_DIFF_MAX_BYTES: Size cap for the diff embedded in history.md (default 60000)
+ * - PR_DIFF_PATCH: If "true", also write the full diff to .pr/diff.patch
+ * - PR_HISTORY_MODE: "sections" (default) or "timeline"
+ * - PR_LINKED_ISSUES_MAX: Most linked issues/PRs fetched (default 10, 0 to
+ *   turn them off)
+ * - PR_LINKED_ISSUES_DEPTH: How many levels of references to follow, e.g. 2
+ *   to also fetch the issues the linked issues refer to (default 1)
+ * - PR_ATTACHMENTS_MAX_BYTES: Cap on the total size of downloaded
+ *   attachments (default 20 MiB)
+ * - LAFORGE_USER: Login of the Laforge bot user (default "laforge")
+ * - LAFORGE_PROGRESS_USER: Login of the account posting the progress
+ *   comments (default LAFORGE_USER)
+ * - LAFORGE_STATE_STORE: "comment" (default) or "file"; see lib/pr-state.js
+ * - COMMENT_ID: ID of the comment (or review comment) that triggered the run
+ * - REVIEW_ID: ID of the review that triggered the run
+ * - LAFORGE_REDACTION_CONFIG: Custom redaction rules (default
+ *   .laforge/redaction.yaml)
  */
 
-const http = require("http");
-const https = require("https");
 const fs = require("fs");
-const path = require("path");
-
-async function fetchGiteaAPI(path) {
-  return new Promise((resolve, reject) => {
-    const token = process.env.GITEA_TOKEN;
-    const baseUrl = process.env.GITEA_API_URL;
-
-    const url = new URL(baseUrl);
-    const fullPath = url.pathname + path;
-
-    console.log(`Fetching ${baseUrl}${path}...`);
-
-    const options = {
-      hostname: url.hostname,
-      port: url.port,
-      path: fullPath,
-      method: "GET",
-      headers: {
-        Authorization: `token ${token}`,
-        Accept: "application/json",
-      },
-    };
-
-    const req = http.request(options, (res) => {
-      let data = "";
-      res.on("data", (chunk) => {
-        data += chunk;
-      });
-      res.on("end", () => resolve(JSON.parse(data)));
-    });
+const { createGiteaClientFromEnv, getRepoContext } = require("./lib/gitea-api");
+const { parseUnifiedDiff, lastHunkLine, indexNewLines } = require("./lib/diff");
+const { buildTimeline, formatTimeline } = require("./lib/timeline");
+const {
+  readRunCursor,
+  loadLastRunCursor,
+  writeRunCursor,
+  buildRunCursor,
+  collectNewActivity,
+  findTrigger,
+  formatNewActivity,
+} = require("./lib/new-activity");
+const { isStateComment, createStateStoreFromEnv } = require("./lib/pr-state");
+const { isProgressComment, progressLogin } = require("./lib/progress-comment");
+const { stripMarkers } = require("./lib/comment-markers");
+const { createRedactor } = require("./lib/redact");
+const {
+  DEFAULT_MAX_LINKED_ISSUES,
+  DEFAULT_LINK_DEPTH,
+  fetchLinkedIssues,
+  formatLinkedIssues,
+} = require("./lib/linked-issues");
+const {
+  DEFAULT_ATTACHMENTS_MAX_BYTES,
+  createAttachmentStore,
+} = require("./lib/attachments");
+
+const gitea = createGiteaClientFromEnv();
+const redactor = createRedactor();
+
+const DEFAULT_DIFF_MAX_BYTES = 60000;
+const DIFF_PATCH_PATH = ".pr/diff.patch";
+const NEW_ACTIVITY_PATH = ".pr/new-activity.md";
+const ATTACHMENTS_DIR = ".pr/attachments";
+
+// Number of trailing diff_hunk lines shown above each review thread
+const THREAD_CONTEXT_LINES = 8;
+
+// Hosts the Gitea server is reached under: the API host and the public host
+// of the PR page, which absolute attachment links use
+function giteaHosts(pr) {
+  const hosts = [new URL(process.env.GITEA_API_URL).host];
+  if (pr.html_url) {
+    try {
+      hosts.push(new URL(pr.html_url).host);
+    } catch (error) {
+      // Not a URL; relative attachment links still work
+    }
+  }
+  return hosts;
+}
 
-    req.on("error", reject);
-    req.end();
-  });
+// Non-negative integer from the environment, or the default
+function intFromEnv(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return value >= 0 ? value : defaultValue;
 }
 
-async function downloadAttachment(attachmentUrl, localPath) {
-  return new Promise((resolve, reject) => {
-    const token = process.env.GITEA_TOKEN;
-    const baseUrl = process.env.GITEA_API_URL;
-
-    // Parse base URL to get the host info
-    const apiUrl = new URL(baseUrl);
-
-    // Construct full attachment URL
-    // The attachmentUrl from comments is relative (e.g., /attachments/xxx)
-    const fullUrl = `${apiUrl.protocol}//${apiUrl.hostname}:${apiUrl.port}${attachmentUrl}`;
-
-    console.log(`Downloading attachment from ${fullUrl} to ${localPath}...`);
-
-    const url = new URL(fullUrl);
-    const protocol = url.protocol === 'https:' ? https : http;
-
-    const options = {
-      hostname: url.hostname,
-      port: url.port,
-      path: url.pathname,
-      method: "GET",
-      headers: {
-        Authorization: `token ${token}`,
-      },
-    };
-
-    const req = protocol.request(options, (res) => {
-      if (res.statusCode !== 200) {
-        reject(new Error(`Failed to download attachment: ${res.statusCode}`));
-        return;
-      }
+// Write one of the .pr files, with secrets redacted; `options` as for
+// redactor.redact(), e.g. { code: true } for the diff
+function writeRedacted(filePath, text, options) {
+  const before = redactor.count();
+  fs.writeFileSync(filePath, redactor.redact(text, options));
+  const redacted = redactor.count() - before;
+  if (redacted > 0) {
+    console.log(`Redacted ${redacted} secret(s) in ${filePath}`);
+  }
+}
+
+function formatChangedFiles(files) {
+  let text = `## Changed Files\n\n`;
+  if (files.length === 0) {
+    return text + "_No files changed._\n\n";
+  }
+
+  let totalAdditions = 0;
+  let totalDeletions = 0;
+  text += "| Status | File | + | - |\n";
+  text += "| --- | --- | --- | --- |\n";
+  for (const f of files) {
+    totalAdditions += f.additions || 0;
+    totalDeletions += f.deletions || 0;
+    const name =
+      f.previous_filename && f.previous_filename !== f.filename
+        ? `\`${f.previous_filename}\` → \`${f.filename}\``
+        : `\`${f.filename}\``;
+    text += `| ${f.status} | ${name} | ${f.additions || 0} | ${f.deletions || 0} |\n`;
+  }
+  text += `\n${files.length} file(s) changed, ${totalAdditions} addition(s), ${totalDeletions} deletion(s)\n\n`;
+  return text;
+}
 
-      const fileStream = fs.createWriteStream(localPath);
-      res.pipe(fileStream);
+function formatDiff(diff, maxBytes, patchWritten) {
+  let text = `## Diff\n\n`;
+  if (!diff) {
+    return text + "_Empty diff._\n\n";
+  }
 
-      fileStream.on('finish', () => {
-        fileStream.close();
-        resolve();
-      });
+  const totalBytes = Buffer.byteLength(diff);
+  let shown = diff;
+  if (totalBytes > maxBytes) {
+    // Cut on a line boundary so the last hunk line isn't split
+    shown = Buffer.from(diff).subarray(0, maxBytes).toString("utf8");
+    shown = shown.substring(0, shown.lastIndexOf("\n") + 1);
+  }
 
-      fileStream.on('error', (err) => {
-        fs.unlink(localPath, () => {}); // Clean up partial file
-        reject(err);
-      });
-    });
+  text += "```diff\n" + shown.replace(/\n$/, "") + "\n```\n";
+  if (shown.length < diff.length) {
+    text += `\n_Diff truncated: showing ${Buffer.byteLength(shown)} of ${totalBytes} bytes.`;
+    text += patchWritten
+      ? ` The full diff is in \`${DIFF_PATCH_PATH}\`._\n`
+      : ` Run \`git diff\` against the base branch for the rest._\n`;
+  }
+  return text + "\n";
+}
 
-    req.on("error", reject);
-    req.end();
-  });
+// Work out which file line a review comment refers to. The last line of the
+// diff_hunk is the commented line; `position`/`original_position` are only
+// used when there is no hunk to go by.
+function commentLocation(comment) {
+  const hunkLine = lastHunkLine(comment.diff_hunk);
+  if (hunkLine && hunkLine.newLine !== null) {
+    return { side: "new", line: hunkLine.newLine, content: hunkLine.content };
+  }
+  if (hunkLine) {
+    return { side: "old", line: hunkLine.oldLine, content: hunkLine.content };
+  }
+  if (comment.position) {
+    return { side: "new", line: comment.position, content: null };
+  }
+  if (comment.original_position) {
+    return { side: "old", line: comment.original_position, content: null };
+  }
+  return { side: "file", line: null, content: null };
 }
 
-function extractAttachments(text) {
-  // Match markdown image syntax: ![alt](url)
-  const attachmentRegex = /!\[([^\]]*)\]\(([^)]+)\)/g;
-  const attachments = [];
-  let match;
-
-  while ((match = attachmentRegex.exec(text)) !== null) {
-    const altText = match[1];
-    const url = match[2];
-
-    // Check if this is an attachment URL (starts with /attachments/)
-    if (url.startsWith('/attachments/')) {
-      attachments.push({
-        altText,
-        url,
-        filename: altText || path.basename(url),
-      });
-    }
+function describeCommentLocation(comment) {
+  const location = commentLocation(comment);
+  if (location.side === "new") {
+    return `\`${comment.path}\` line ${location.line}`;
+  }
+  if (location.side === "old") {
+    return `\`${comment.path}\` removed line ${location.line}`;
   }
+  return `\`${comment.path}\``;
+}
 
-  return attachments;
+// A thread is outdated when its line no longer appears, unchanged, in the
+// current PR diff
+function isOutdated(thread, headSha, newLineIndex) {
+  const root = thread.comments[0];
+  if (root.commit_id && root.commit_id === headSha) {
+    return false;
+  }
+  if (!newLineIndex) {
+    return false;
+  }
+  const fileLines = newLineIndex[thread.path];
+  if (!fileLines) {
+    return true;
+  }
+  if (thread.side !== "new" || thread.content === null) {
+    return false;
+  }
+  return fileLines.get(thread.line) !== thread.content;
 }
 
-async function processAttachments(text, attachmentsDir) {
-  const attachments = extractAttachments(text);
+/**
+ * Group review comments into conversation threads. Replies are attached to
+ * their parent via `in_reply_to_id`/`in_reply_to` when Gitea provides it, and
+ * otherwise by sharing the same file, side and line.
+ */
+function buildReviewThreads(reviews, headSha, newLineIndex) {
+  const allComments = [];
+  for (const review of reviews) {
+    for (const c of review.comments || []) {
+      allComments.push({ ...c, review_state: review.state });
+    }
+  }
+  allComments.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+  const threads = new Map();
+  const threadByCommentId = new Map();
+  for (const c of allComments) {
+    const parentId = c.in_reply_to_id || c.in_reply_to;
+    let thread = parentId ? threadByCommentId.get(parentId) : null;
+
+    if (!thread) {
+      const location = commentLocation(c);
+      const key = `${c.path}:${location.side}:${location.line}`;
+      thread = threads.get(key);
+      if (!thread) {
+        thread = { path: c.path, ...location, diffHunk: c.diff_hunk, comments: [] };
+        threads.set(key, thread);
+      }
+    }
+
+    thread.comments.push(c);
+    threadByCommentId.set(c.id, thread);
+  }
 
-  if (attachments.length === 0) {
-    return text;
+  const result = [...threads.values()];
+  for (const thread of result) {
+    const resolved = thread.comments.find((c) => c.resolver);
+    thread.resolvedBy = resolved ? resolved.resolver.login : null;
+    thread.outdated = isOutdated(thread, headSha, newLineIndex);
   }
 
-  // Create attachments directory if it doesn't exist
-  if (!fs.existsSync(attachmentsDir)) {
-    fs.mkdirSync(attachmentsDir, { recursive: true });
+  result.sort(
+    (a, b) => a.path.localeCompare(b.path) || (a.line || 0) - (b.line || 0),
+  );
+  return result;
+}
+
+function formatHunkSnippet(diffHunk) {
+  const lines = diffHunk.replace(/\n+$/, "").split("\n");
+  const header = lines[0].startsWith("@@") ? lines.shift() : null;
+  const tail = lines.slice(-THREAD_CONTEXT_LINES);
+  if (header && tail.length === lines.length) {
+    tail.unshift(header);
   }
+  return "```diff\n" + tail.join("\n") + "\n```\n";
+}
 
-  let processedText = text;
+async function formatReviewThreads(threads, renderBody) {
+  let text = `\n## Review Threads\n`;
+  if (threads.length === 0) {
+    return text + "\n_No inline review comments._\n";
+  }
 
-  for (const attachment of attachments) {
-    try {
-      const localPath = path.join(attachmentsDir, attachment.filename);
-      await downloadAttachment(attachment.url, localPath);
+  let currentPath = null;
+  for (const thread of threads) {
+    if (thread.path !== currentPath) {
+      currentPath = thread.path;
+      text += `\n### \`${thread.path}\`\n`;
+    }
 
-      // Rewrite the markdown link to point to the local file
-      const localUrl = `.pr/attachments/${attachment.filename}`;
-      const oldLink = `![${attachment.altText}](${attachment.url})`;
-      const newLink = `![${attachment.altText}](${localUrl})`;
-      processedText = processedText.replace(oldLink, newLink);
+    let heading;
+    if (thread.side === "new") {
+      heading = `Line ${thread.line}`;
+    } else if (thread.side === "old") {
+      heading = `Removed line ${thread.line} (old file)`;
+    } else {
+      heading = "File comment";
+    }
+    if (thread.resolvedBy) {
+      heading += ` — resolved by ${thread.resolvedBy}`;
+    }
+    if (thread.outdated) {
+      heading += " — outdated";
+    }
+    text += `\n#### ${heading}\n\n`;
 
-      console.log(`Downloaded and relinked: ${attachment.filename}`);
-    } catch (error) {
-      console.error(`Failed to download attachment ${attachment.filename}: ${error.message}`);
+    if (thread.diffHunk) {
+      text += formatHunkSnippet(thread.diffHunk) + "\n";
     }
-  }
 
-  return processedText;
+    const entries = [];
+    for (const c of thread.comments) {
+      const processedBody = await renderBody(c.body);
+      entries.push(
+        `**${c.user.login}** (${c.review_state}, ${c.created_at}):\n${processedBody}\n`,
+      );
+    }
+    text += entries.join("\n");
+  }
+  return text;
 }
 
 async function main() {
-  const owner = process.env.GITEA_REPO_OWNER;
-  const fullRepo = process.env.GITEA_REPO_NAME;
-  const repo = fullRepo.split("/").pop(); // Extract just the repo name
-  const prIndex = process.env.PR_INDEX;
-  const apiBase = process.env.GITEA_API_URL;
-  const attachmentsDir = ".pr/attachments";
+  const { owner, repo, repoPath, prIndex } = getRepoContext();
+  const diffMaxBytes =
+    parseInt(process.env.PR_DIFF_MAX_BYTES, 10) || DEFAULT_DIFF_MAX_BYTES;
+  const writePatch = process.env.PR_DIFF_PATCH === "true";
+  const historyMode = process.env.PR_HISTORY_MODE || "sections";
+  const botLogin = process.env.LAFORGE_USER || "laforge";
+  const progressUser = progressLogin();
+
+  let cursor;
+  const store = createStateStoreFromEnv({ gitea, repoPath, prIndex, botLogin });
+  try {
+    await store.load();
+    cursor = loadLastRunCursor(store);
+  } catch (error) {
+    console.log(`ERROR: Could not load the PR state: ${error.message}`);
+    cursor = readRunCursor();
+  }
 
   // Fetch PR data
-  const pr = await fetchGiteaAPI(`/repos/${owner}/${repo}/pulls/${prIndex}`);
-  const comments = await fetchGiteaAPI(
-    `/repos/${owner}/${repo}/issues/${prIndex}/comments`,
-  );
-  const reviews = await fetchGiteaAPI(
-    `/repos/${owner}/${repo}/pulls/${prIndex}/reviews`,
-  );
+  const pr = await gitea.get(`${repoPath}/pulls/${prIndex}`);
+
+  // Attachments are downloaded as the bodies that link them are rendered
+  const attachments = createAttachmentStore({
+    gitea,
+    dir: ATTACHMENTS_DIR,
+    hosts: giteaHosts(pr),
+    maxBytes:
+      parseInt(process.env.PR_ATTACHMENTS_MAX_BYTES, 10) || DEFAULT_ATTACHMENTS_MAX_BYTES,
+  });
+  const renderBody = (body) => attachments.process(body);
+  const comments = (
+    await gitea.getAll(`${repoPath}/issues/${prIndex}/comments`)
+  )
+    .filter((c) => !isStateComment(c, botLogin) && !isProgressComment(c, progressUser))
+    .map((c) => ({ ...c, body: stripMarkers(c.body) }));
+  const reviews = await gitea.getAll(`${repoPath}/pulls/${prIndex}/reviews`);
   // Fetch review comments for each review
   const reviewsWithComments = await Promise.all(
     reviews.map(async (review) => {
       try {
-        const comments = await fetchGiteaAPI(
-          `/repos/${owner}/${repo}/pulls/${prIndex}/reviews/${review.id}/comments`,
+        const comments = await gitea.get(
+          `${repoPath}/pulls/${prIndex}/reviews/${review.id}/comments`,
         );
         return { ...review, comments: Array.isArray(comments) ? comments : [] };
       } catch (error) {
@@ -202,45 +395,150 @@ async function main() {
     }),
   );
 
+  // Fetch changed files and the diff; the history is still useful without them
+  let files = null;
+  let diff = null;
+  try {
+    files = await gitea.getAll(`${repoPath}/pulls/${prIndex}/files`);
+  } catch (error) {
+    console.log(`Could not fetch changed files: ${error.message}`);
+  }
+  try {
+    diff = await gitea.get(`${repoPath}/pulls/${prIndex}.diff`, {
+      responseType: "text",
+    });
+  } catch (error) {
+    console.log(`Could not fetch diff: ${error.message}`);
+  }
+  if (diff !== null && writePatch) {
+    writeRedacted(DIFF_PATCH_PATH, diff, { code: true });
+    console.log(`Wrote full diff to ${DIFF_PATCH_PATH}`);
+  }
+
+  let timelineEvents = null;
+  if (historyMode === "timeline") {
+    try {
+      timelineEvents = (
+        await gitea.getAll(`${repoPath}/issues/${prIndex}/timeline`)
+      )
+        .filter((e) => !isStateComment(e, botLogin) && !isProgressComment(e, progressUser))
+        .map((e) => (e.type === "comment" ? { ...e, body: stripMarkers(e.body) } : e));
+    } catch (error) {
+      console.log(
+        `Could not fetch timeline, falling back to sections: ${error.message}`,
+      );
+    }
+  }
+
   // Format as markdown
   let text = `# PR #${prIndex}: ${pr.title}\n\n`;
   text += `**Author:** ${pr.user.login}\n`;
-  text += "**Branch:** ${pr.head.ref}\n";
+  text += `**Branch:** ${pr.head.ref}`;
+  if (pr.base && pr.base.ref) {
+    text += ` → ${pr.base.ref}`;
+  }
+  text += "\n";
   text += `**Created:** ${pr.created_at}\n\n`;
 
   // Process PR description for attachments
-  const processedPrBody = await processAttachments(pr.body || "", attachmentsDir);
+  const processedPrBody = await renderBody(pr.body || "");
   text += `## PR Description\n${processedPrBody}\n\n`;
 
-  text += `## Conversation Comments\n`;
-  for (const c of comments) {
-    const processedBody = await processAttachments(c.body, attachmentsDir);
-    text += `\n**${c.user.login}** (${c.created_at}):\n${processedBody}\n`;
+  if (files !== null) {
+    text += formatChangedFiles(files);
+  }
+  if (diff !== null) {
+    text += formatDiff(diff, diffMaxBytes, writePatch);
   }
 
-  text += `\n## Reviews\n`;
-  for (const r of reviewsWithComments) {
-    text += `\n### ${r.user.login} - ${r.state} (${r.submitted_at})\n`;
-    if (r.body) {
-      const processedBody = await processAttachments(r.body, attachmentsDir);
-      text += processedBody + "\n";
+  if (timelineEvents !== null) {
+    const timeline = buildTimeline(timelineEvents, {
+      reviews: reviewsWithComments,
+      describeLocation: describeCommentLocation,
+      botLogin,
+      since: cursor ? new Date(cursor.timestamp) : null,
+    });
+    text += await formatTimeline(timeline, renderBody);
+  } else {
+    text += `## Conversation Comments\n`;
+    for (const c of comments) {
+      const processedBody = await renderBody(c.body);
+      text += `\n**${c.user.login}** (${c.created_at}):\n${processedBody}\n`;
     }
 
-    // Include review comments associated with this review
-    if (r.comments && r.comments.length > 0) {
-      text += `\n#### Review Comments:\n`;
-      for (const c of r.comments) {
-        text += `\n**${c.user.login}** on \`${c.path}\``;
-        if (c.position || c.original_position) {
-          text += ` (line ${c.position || c.original_position})`;
-        }
-        const processedBody = await processAttachments(c.body, attachmentsDir);
-        text += `:\n${processedBody}\n`;
+    text += `\n## Reviews\n`;
+    for (const r of reviewsWithComments) {
+      text += `\n### ${r.user.login} - ${r.state} (${r.submitted_at})\n`;
+      if (r.body) {
+        const processedBody = await renderBody(r.body);
+        text += processedBody + "\n";
+      }
+      if (r.comments && r.comments.length > 0) {
+        text += `\n_${r.comments.length} inline comment(s), see Review Threads below._\n`;
       }
     }
   }
 
-  fs.writeFileSync(".pr/history.md", text);
+  const newLineIndex = diff !== null ? indexNewLines(parseUnifiedDiff(diff)) : null;
+  const threads = buildReviewThreads(reviewsWithComments, pr.head.sha, newLineIndex);
+  text += await formatReviewThreads(threads, renderBody);
+
+  const maxLinked = intFromEnv("PR_LINKED_ISSUES_MAX", DEFAULT_MAX_LINKED_ISSUES);
+  if (maxLinked > 0) {
+    const linked = await fetchLinkedIssues({
+      gitea,
+      pr,
+      owner,
+      repo,
+      sources: [
+        { text: pr.body, source: "PR description" },
+        ...comments.map((c) => ({ text: c.body, source: `comment by ${c.user.login}` })),
+        ...reviewsWithComments.map((r) => ({ text: r.body, source: `review by ${r.user.login}` })),
+      ],
+      hosts: giteaHosts(pr),
+      botLogin,
+      progressUser,
+      maxCount: maxLinked,
+      maxDepth: intFromEnv("PR_LINKED_ISSUES_DEPTH", DEFAULT_LINK_DEPTH),
+    });
+    text += await formatLinkedIssues(linked, { owner, repo, renderBody });
+  }
+
+  writeRedacted(".pr/history.md", text);
+
+  // Write the digest of activity since the previous run, then advance the cursor
+  const activity = cursor
+    ? collectNewActivity({
+        pr,
+        comments,
+        reviews: reviewsWithComments,
+        cursor,
+        botLogin,
+      })
+    : null;
+  const trigger = findTrigger({
+    comments,
+    reviews: reviewsWithComments,
+    commentId: process.env.COMMENT_ID,
+    reviewId: process.env.REVIEW_ID,
+  });
+  writeRedacted(
+    NEW_ACTIVITY_PATH,
+    await formatNewActivity({
+      prIndex,
+      activity,
+      trigger,
+      renderBody,
+      describeLocation: describeCommentLocation,
+    }),
+  );
+  attachments.writeManifest();
+  writeRunCursor(
+    buildRunCursor({ pr, comments, reviews: reviewsWithComments }),
+  );
 }
 
-main();
+main().catch((error) => {
+  console.error("Error fetching PR:", error.message);
+  process.exit(1);
+});
@@ -5,37 +5,157 @@
  *
  * Reads Claude Code JSON stream from stdin and outputs formatted markdown to stdout.
  * Based on the Go implementation in .pr/output_formatter.go
+ *
+ * Rendering, the run report and the HTML transcript are shared with the
+ * OpenCode formatter; see lib/agent-output.js.
  */
 
 const readline = require('readline');
+const { createAgentOutput } = require('./lib/agent-output');
+
+// Headlines for result subtypes; anything else is shown as is
+const RESULT_SUBTYPES = {
+  success: 'Success',
+  error_max_turns: 'Stopped: reached the maximum number of turns',
+  error_during_execution: 'Failed during execution',
+  error_max_budget_usd: 'Stopped: reached the budget limit',
+  error_max_structured_output_retries: 'Failed: could not produce valid structured output'
+};
+
+const output = createAgentOutput({ backendName: 'Claude Code' });
+
+// Messages may be embedded as JSON strings
+function parseMessage(message) {
+  return typeof message === 'string' ? JSON.parse(message) : message;
+}
+
+function handleSystem(msg) {
+  switch (msg.subtype) {
+    case 'init':
+      output.startSession({ model: msg.model, sessionId: msg.session_id, cwd: msg.cwd });
+      break;
+
+    case 'compact_boundary': {
+      const meta = msg.compact_metadata || {};
+      const details = [meta.trigger, meta.pre_tokens ? `${meta.pre_tokens} tokens before` : null]
+        .filter(Boolean)
+        .join(', ');
+      output.notice(`Conversation compacted${details ? ` (${details})` : ''}`);
+      break;
+    }
 
-// Format tool parameters compactly
-function formatToolParams(input) {
-  if (!input || Object.keys(input).length === 0) {
-    return '';
+    default:
+      output.notice(`System event: ${msg.subtype || 'unknown'}`);
+      break;
   }
+}
+
+// Message IDs whose usage was already reported; each content block of a
+// message arrives as its own event with the same usage
+const reportedUsage = new Set();
 
-  // Common parameter names to extract (in order of preference)
-  const keyParams = ['command', 'file_path', 'pattern', 'path', 'message', 'query', 'description'];
-
-  for (const key of keyParams) {
-    if (input[key] !== undefined) {
-      let valStr = String(input[key]);
-      // Truncate if too long
-      if (valStr.length > 60) {
-        valStr = valStr.substring(0, 57) + '...';
-      }
-      return valStr;
+function reportUsage(assistantMsg) {
+  const usage = assistantMsg.usage;
+  if (!usage || (assistantMsg.id && reportedUsage.has(assistantMsg.id))) {
+    return;
+  }
+  if (assistantMsg.id) {
+    reportedUsage.add(assistantMsg.id);
+  }
+  output.usage({
+    inputTokens:
+      (usage.input_tokens || 0) +
+      (usage.cache_creation_input_tokens || 0) +
+      (usage.cache_read_input_tokens || 0),
+    outputTokens: usage.output_tokens || 0
+  });
+}
+
+function handleAssistant(msg) {
+  const assistantMsg = parseMessage(msg.message);
+  if (!assistantMsg || !Array.isArray(assistantMsg.content)) {
+    return;
+  }
+  reportUsage(assistantMsg);
+
+  for (const content of assistantMsg.content) {
+    switch (content.type) {
+      case 'text':
+        output.text(content.text);
+        break;
+
+      case 'thinking':
+        output.thinking(content.thinking);
+        break;
+
+      case 'redacted_thinking':
+        output.thinking(null);
+        break;
+
+      case 'tool_use':
+        output.toolCall(content.id, content.name, content.input || {});
+        break;
+
+      default:
+        output.notice(`Unsupported content: ${content.type}`);
+        break;
     }
   }
+}
+
+function handleUser(msg) {
+  const userMsg = parseMessage(msg.message);
+  if (!userMsg) {
+    return;
+  }
 
-  // If no key params found, just show count
-  return `${Object.keys(input).length} params`;
+  // Plain prompts (e.g. replayed user messages)
+  if (typeof userMsg.content === 'string') {
+    output.userText(userMsg.content);
+    return;
+  }
+  if (!Array.isArray(userMsg.content)) {
+    return;
+  }
+
+  for (const item of userMsg.content) {
+    if (item.type === 'text' && item.text) {
+      output.userText(item.text);
+    } else if (item.type === 'tool_result') {
+      output.toolResult(item.tool_use_id, item.content, !!item.is_error);
+    }
+  }
 }
 
-// State tracking
-let sessionInfo = null;
-let messageCount = 0;
+function handleResult(msg) {
+  const subtype = msg.subtype || 'success';
+  const failed = !!msg.is_error || subtype !== 'success';
+
+  // Error details: the result text, or the errors list of error subtypes
+  const details = [];
+  if (msg.result) {
+    details.push(msg.result);
+  }
+  if (Array.isArray(msg.errors)) {
+    details.push(...msg.errors.map((e) => (typeof e === 'string' ? e : JSON.stringify(e))));
+  }
+
+  const notes = [];
+  if (Array.isArray(msg.permission_denials) && msg.permission_denials.length > 0) {
+    notes.push(`${msg.permission_denials.length} permission denials`);
+  }
+
+  output.finish({
+    failed,
+    headline: subtype === 'success' && failed ? 'Error' : RESULT_SUBTYPES[subtype] || subtype,
+    numTurns: msg.num_turns,
+    durationMs: msg.duration_ms,
+    costUsd: msg.total_cost_usd,
+    details,
+    notes,
+    subtype
+  });
+}
 
 // Create readline interface for streaming stdin
 const rl = readline.createInterface({
@@ -56,166 +176,45 @@ rl.on('line', (line) => {
     msg = JSON.parse(line);
   } catch (err) {
     // Not valid JSON, output as-is
-    console.log(line);
+    output.raw(line);
     return;
   }
 
   // Process different message types
-  switch (msg.type) {
-    case 'system':
-      if (msg.subtype === 'init') {
-        sessionInfo = msg;
-        // Compact header
-        console.log(`# Claude Code (${msg.model})`);
-        console.log(`\`${msg.cwd}\` • Session: \`${msg.session_id}\``);
-        console.log();
-      }
-      break;
-
-    case 'assistant':
-      messageCount++;
-      if (msg.message) {
-        try {
-          const assistantMsg = typeof msg.message === 'string'
-            ? JSON.parse(msg.message)
-            : msg.message;
-
-          // Process content items - more compact format
-          if (assistantMsg.content && Array.isArray(assistantMsg.content)) {
-            for (let i = 0; i < assistantMsg.content.length; i++) {
-              const content = assistantMsg.content[i];
-              const contentType = content.type;
-
-              switch (contentType) {
-                case 'text':
-                  if (content.text) {
-                    // Only add newline between items, not before first
-                    if (i > 0) {
-                      console.log();
-                    }
-                    console.log(content.text);
-                  }
-                  break;
-
-                case 'tool_use':
-                  const toolName = content.name;
-                  const toolInput = content.input || {};
-
-                  // Compact one-line format for tool use
-                  if (i > 0) {
-                    console.log();
-                  }
-
-                  // Format tool input compactly - extract key parameters
-                  const paramStr = formatToolParams(toolInput);
-                  if (paramStr) {
-                    console.log(`> ${toolName} (${paramStr})`);
-                  } else {
-                    console.log(`> ${toolName}`);
-                  }
-                  break;
-              }
-            }
-            console.log();
-          }
-        } catch (err) {
-          // Failed to parse assistant message, skip
-        }
-      }
-      break;
-
-    case 'user':
-      // User messages contain tool results - show them (with length limits)
-      if (msg.message) {
-        try {
-          const userMsg = typeof msg.message === 'string'
-            ? JSON.parse(msg.message)
-            : msg.message;
-
-          if (userMsg.content && Array.isArray(userMsg.content)) {
-            for (const item of userMsg.content) {
-              // Check if this is an error result
-              if (item.is_error) {
-                if (item.content) {
-                  // Extract error message if it's wrapped in XML tags
-                  let errorMsg = item.content;
-                  const startTag = '<tool_use_error>';
-                  const endTag = '</tool_use_error>';
-                  const start = item.content.indexOf(startTag);
-                  const end = item.content.indexOf(endTag);
-                  if (start >= 0 && end > start) {
-                    errorMsg = item.content.substring(start + startTag.length, end);
-                  }
-                  console.log(`⚠️  Tool error: ${errorMsg}`);
-                  console.log();
-                }
-              } else if (item.content) {
-                // Non-error result - show if not too long
-                const lines = item.content.split('\n');
-                if (lines.length <= 100) {
-                  console.log('**Tool result:**');
-                  console.log('```');
-                  console.log(item.content);
-                  console.log('```');
-                  console.log();
-                } else {
-                  // Truncate long results
-                  const firstLines = lines.slice(0, 50).join('\n');
-                  const lastLines = lines.slice(-50).join('\n');
-                  const truncatedCount = lines.length - 100;
-                  const truncated = `${firstLines}\n\n... [${truncatedCount} lines truncated] ...\n\n${lastLines}`;
-                  console.log(`**Tool result** _(truncated, ${lines.length} lines total)_:`);
-                  console.log('```');
-                  console.log(truncated);
-                  console.log('```');
-                  console.log();
-                }
-              }
-            }
-          }
-        } catch (err) {
-          // Failed to parse user message, skip
-        }
-      }
-      break;
-
-    case 'result':
-      if (msg.subtype === 'success' || !msg.subtype) {
-        // Compact summary on one or two lines
-        const summaryParts = [];
-
-        if (!msg.is_error) {
-          summaryParts.push('✅ Success');
-        } else {
-          summaryParts.push('❌ Error');
-        }
-
-        if (msg.num_turns > 0) {
-          summaryParts.push(`${msg.num_turns} turns`);
-        }
-
-        if (msg.duration_ms > 0) {
-          summaryParts.push(`${(msg.duration_ms / 1000).toFixed(1)}s`);
-        }
-
-        if (msg.total_cost_usd > 0) {
-          summaryParts.push(`$${msg.total_cost_usd.toFixed(4)}`);
-        }
-
-        console.log('---');
-        console.log(summaryParts.join(' • '));
-
-        // Show result text if present
-        if (msg.result) {
-          console.log();
-          console.log(msg.result);
-        }
-      }
-      break;
+  try {
+    switch (msg.type) {
+      case 'system':
+        handleSystem(msg);
+        break;
+
+      case 'assistant':
+        handleAssistant(msg);
+        break;
+
+      case 'user':
+        // User messages contain tool results - show them (with length limits)
+        handleUser(msg);
+        break;
+
+      case 'result':
+        handleResult(msg);
+        break;
+
+      case 'stream_event':
+        // Partial message deltas; the complete message follows as its own event
+        break;
+
+      default:
+        output.notice(`Unknown event: ${msg.type}`);
+        break;
+    }
+  } catch (err) {
+    output.warning(`Could not render ${msg.type} event: ${err.message}`);
   }
 });
 
-rl.on('close', () => {
+rl.on('close', async () => {
   // Stream ended
+  await output.close();
   process.exit(0);
 });
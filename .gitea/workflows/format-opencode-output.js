@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+
+/**
+ * OpenCode Output Formatter
+ *
+ * Reads the JSON events of `opencode run --format json` from stdin and
+ * outputs the same formatted markdown and end-of-run summary as
+ * format-claude-output.js (see lib/agent-output.js).
+ *
+ * OpenCode writes one event per line, e.g.
+ *   { "type": "step_start", "sessionID": "ses_...", "part": { ... } }
+ *   { "type": "text", "part": { "text": "..." } }
+ *   { "type": "tool_use", "part": { "callID": "...", "tool": "bash", "state": { ... } } }
+ *   { "type": "step_finish", "part": { "cost": 0.0012, "tokens": { ... } } }
+ *   { "type": "error", "error": { "name": "...", "data": { "message": "..." } } }
+ *
+ * Every step is one model turn. OpenCode doesn't send a result event, so the
+ * summary is printed when the stream ends. The events don't name the model
+ * either; it's taken from MODELNAME.
+ */
+
+const readline = require('readline');
+const { createAgentOutput } = require('./lib/agent-output');
+
+// OpenCode tools under the names the Claude formatter uses, so both backends
+// are rendered and counted alike
+const TOOL_NAMES = {
+  bash: 'Bash',
+  read: 'Read',
+  edit: 'Edit',
+  multiedit: 'MultiEdit',
+  write: 'Write',
+  glob: 'Glob',
+  grep: 'Grep',
+  list: 'LS',
+  todowrite: 'TodoWrite',
+  todoread: 'TodoRead',
+  webfetch: 'WebFetch',
+  task: 'Task',
+  patch: 'Patch'
+};
+
+const output = createAgentOutput({ backendName: 'OpenCode' });
+
+// State tracking
+let sessionStarted = false;
+let numTurns = 0;
+let costUsd = 0;
+let firstTimestamp = null;
+let lastTimestamp = null;
+const errors = [];
+const formatterStart = Date.now();
+
+// filePath -> file_path, oldString -> old_string, ...
+function toSnakeCase(input) {
+  const result = {};
+  for (const [key, value] of Object.entries(input || {})) {
+    const snakeKey = key.replace(/[A-Z]/g, (c) => `_${c.toLowerCase()}`);
+    result[snakeKey] = Array.isArray(value) ? value.map((v) => (v && typeof v === 'object' ? toSnakeCase(v) : v)) : value;
+  }
+  return result;
+}
+
+function handleToolUse(part) {
+  const state = part.state || {};
+  const name = TOOL_NAMES[part.tool] || part.tool;
+  output.toolCall(part.callID, name, toSnakeCase(state.input));
+
+  if (state.status === 'error') {
+    output.toolResult(part.callID, state.error || 'Tool failed', true);
+    return;
+  }
+
+  const content = state.output || '';
+  const exitCode = state.metadata ? state.metadata.exit : undefined;
+  if (name === 'Bash' && typeof exitCode === 'number') {
+    // Reported like Claude Code's failed Bash calls, so the exit code is shown
+    output.toolResult(part.callID, `Exit code ${exitCode}\n${content}`, exitCode !== 0);
+    return;
+  }
+  output.toolResult(part.callID, content, false);
+}
+
+function handleError(event) {
+  const error = event.error || {};
+  const message = (error.data && error.data.message) || error.message || error.name || 'Unknown error';
+  errors.push(error.name && error.name !== message ? `${error.name}: ${message}` : message);
+}
+
+// Create readline interface for streaming stdin
+const rl = readline.createInterface({
+  input: process.stdin,
+  output: process.stdout,
+  terminal: false
+});
+
+// Process each line as it arrives
+rl.on('line', (line) => {
+  line = line.trim();
+  if (!line) {
+    return;
+  }
+
+  let event;
+  try {
+    event = JSON.parse(line);
+  } catch (err) {
+    // Not valid JSON, output as-is
+    output.raw(line);
+    return;
+  }
+
+  if (!sessionStarted) {
+    output.startSession({
+      model: process.env.MODELNAME,
+      sessionId: event.sessionID,
+      cwd: process.cwd()
+    });
+    sessionStarted = true;
+  }
+  if (typeof event.timestamp === 'number') {
+    firstTimestamp = firstTimestamp === null ? event.timestamp : firstTimestamp;
+    lastTimestamp = event.timestamp;
+  }
+
+  const part = event.part || {};
+  try {
+    switch (event.type) {
+      case 'text':
+        output.text(part.text);
+        break;
+
+      case 'reasoning':
+        output.thinking(part.text);
+        break;
+
+      case 'tool_use':
+        handleToolUse(part);
+        break;
+
+      case 'step_start':
+        break;
+
+      case 'step_finish': {
+        numTurns++;
+        const tokens = part.tokens || {};
+        const cache = tokens.cache || {};
+        const stepCost = typeof part.cost === 'number' ? part.cost : 0;
+        costUsd += stepCost;
+        output.usage({
+          costUsd: stepCost,
+          inputTokens: (tokens.input || 0) + (cache.read || 0) + (cache.write || 0),
+          outputTokens: (tokens.output || 0) + (tokens.reasoning || 0)
+        });
+        break;
+      }
+
+      case 'error':
+        handleError(event);
+        break;
+
+      default:
+        output.notice(`Unknown event: ${event.type}`);
+        break;
+    }
+  } catch (err) {
+    output.warning(`Could not render ${event.type} event: ${err.message}`);
+  }
+});
+
+rl.on('close', async () => {
+  // Stream ended
+  if (sessionStarted) {
+    const durationMs = firstTimestamp !== null && lastTimestamp > firstTimestamp
+      ? lastTimestamp - firstTimestamp
+      : Date.now() - formatterStart;
+    output.finish({
+      failed: errors.length > 0,
+      headline: errors.length > 0 ? 'Error' : 'Success',
+      numTurns,
+      durationMs,
+      costUsd,
+      details: errors
+    });
+  }
+  await output.close();
+  process.exit(0);
+});
@@ -0,0 +1,247 @@
+/**
+ * Common output for the agent formatters (format-claude-output.js,
+ * format-opencode-output.js)
+ *
+ * Each formatter parses its backend's event stream and reports what happened
+ * through this interface. The output handles everything that should look the
+ * same for every backend: the compact Markdown transcript on stdout, the
+ * end-of-run summary line, .pr/run-report.json and the optional HTML
+ * transcript (LAFORGE_TRANSCRIPT_HTML).
+ *
+ * Tool calls are reported with Claude Code's tool names and input fields
+ * (Edit with file_path/old_string/new_string, Bash with command, ...), so
+ * other backends map their tools first; see lib/tool-render.js.
+ *
+ * Thinking is left out unless LAFORGE_SHOW_THINKING is "true". With
+ * LAFORGE_PROGRESS_TOKEN set, progress is also shown in a live PR comment;
+ * see lib/progress-comment.js.
+ *
+ * Secrets are redacted (see lib/redact.js) as events come in, so they reach
+ * none of the outputs; the summary line says how many were found.
+ */
+
+const { createRunRecorder } = require("./run-report");
+const { createHtmlTranscript } = require("./transcript-html");
+const { createProgressReporterFromEnv } = require("./progress-comment");
+const { createRedactor } = require("./redact");
+const {
+  outputLimitsFromEnv,
+  formatToolCall,
+  formatToolResult,
+  formatCallLabel,
+  normalizeToolResultContent,
+} = require("./tool-render");
+
+/**
+ * @param {object} options
+ * @param {string} options.backendName - Shown in the header, e.g. "Claude Code"
+ * @param {object} [options.env]
+ */
+function createAgentOutput({ backendName, env = process.env }) {
+  const limits = outputLimitsFromEnv(env);
+  const showThinking = env.LAFORGE_SHOW_THINKING === "true";
+  const runRecorder = createRunRecorder();
+  const transcript = env.LAFORGE_TRANSCRIPT_HTML
+    ? createHtmlTranscript(env.LAFORGE_TRANSCRIPT_HTML)
+    : null;
+  const progress = createProgressReporterFromEnv({ backendName, env });
+  const redactor = createRedactor({ env });
+  const redact = redactor.redact;
+
+  // Tool calls by ID, to pair each result with its call
+  const toolCalls = {};
+
+  // Print a block followed by a blank line
+  function emit(text) {
+    console.log(text);
+    console.log();
+  }
+
+  return {
+    startSession({ model, sessionId, cwd }) {
+      runRecorder.startSession({ sessionId, model, cwd });
+      if (transcript) {
+        transcript.startSession({ model, sessionId, cwd });
+      }
+      if (progress) {
+        progress.start({ model });
+      }
+      // Compact header
+      console.log(`# ${backendName} (${model || "unknown model"})`);
+      emit(`\`${cwd}\` • Session: \`${sessionId || "unknown"}\``);
+    },
+
+    text(rawText) {
+      if (!rawText) {
+        return;
+      }
+      const text = redact(rawText);
+      emit(text);
+      if (transcript) {
+        transcript.text(text);
+      }
+      if (progress) {
+        progress.step(text);
+      }
+    },
+
+    thinking(rawText) {
+      if (!showThinking) {
+        return;
+      }
+      const text = redact(rawText);
+      emit(text ? `_Thinking:_ ${text}` : "_Thinking (redacted)_");
+      if (transcript && text) {
+        transcript.thinking(text);
+      }
+    },
+
+    // Prompts sent to the agent, e.g. replayed user messages
+    userText(text) {
+      emit(`**User:** ${redact(text)}`);
+    },
+
+    // Events without content of their own, e.g. "Conversation compacted"
+    notice(text) {
+      emit(`_${redact(text)}_`);
+    },
+
+    // Events that couldn't be rendered
+    warning(text) {
+      emit(`⚠️  ${redact(text)}`);
+    },
+
+    // Lines of the stream that aren't events, printed as is
+    raw(line) {
+      console.log(redact(line));
+    },
+
+    toolCall(id, name, input = {}) {
+      toolCalls[id] = { name, input: redactor.redactValue(input) };
+      runRecorder.recordToolUse(name, toolCalls[id].input);
+      if (transcript) {
+        transcript.toolUse(name, toolCalls[id].input);
+      }
+      emit(formatToolCall(toolCalls[id], limits));
+      if (progress) {
+        progress.toolCall(id, formatCallLabel(toolCalls[id], limits));
+      }
+    },
+
+    /**
+     * @param {string} id - ID of the call the result belongs to
+     * @param {string|object[]} content - Text, or a list of text/image blocks
+     * @param {boolean} isError
+     */
+    toolResult(id, content, isError) {
+      const call = toolCalls[id] || null;
+      const { text, images } = normalizeToolResultContent(content);
+      let resultText = redact(text);
+      if (isError) {
+        // Extract error message if it's wrapped in XML tags
+        const match = resultText.match(/<tool_use_error>([\s\S]*?)<\/tool_use_error>/);
+        if (match) {
+          resultText = match[1];
+        }
+        runRecorder.recordError(call ? call.name : null, resultText);
+      }
+      if (transcript) {
+        transcript.toolResult(resultText, isError, images);
+      }
+      if (progress) {
+        progress.toolResult(id, isError);
+      }
+      const rendered = formatToolResult(call, resultText, isError, limits, images);
+      if (rendered) {
+        emit(rendered);
+      }
+    },
+
+    /**
+     * Report model usage as it happens, e.g. per turn.
+     *
+     * @param {object} usage
+     * @param {number} [usage.costUsd]
+     * @param {number} [usage.inputTokens]
+     * @param {number} [usage.outputTokens]
+     */
+    usage(usage) {
+      runRecorder.recordUsage(usage);
+      if (progress) {
+        progress.usage(usage);
+      }
+    },
+
+    /**
+     * Print the end-of-run summary line and record the session totals.
+     *
+     * @param {object} result
+     * @param {boolean} result.failed
+     * @param {string} result.headline - e.g. "Success" or "Stopped: reached
+     *   the maximum number of turns"
+     * @param {number} [result.numTurns]
+     * @param {number} [result.durationMs]
+     * @param {number} [result.costUsd]
+     * @param {string[]} [result.details] - Result text or error messages
+     * @param {string[]} [result.notes] - Extra summary items
+     * @param {string} [result.subtype] - Backend-specific result type, kept
+     *   in the run report
+     */
+    finish({ failed, headline, numTurns, durationMs, costUsd, details: rawDetails = [], notes = [], subtype }) {
+      const details = rawDetails.map(redact);
+      runRecorder.finishSession({ numTurns, durationMs, costUsd, isError: failed, subtype });
+      if (failed) {
+        for (const detail of details.length > 0 ? details : [headline]) {
+          runRecorder.recordError(null, detail);
+        }
+      }
+
+      // Compact summary on one or two lines
+      const summaryParts = [`${failed ? "❌" : "✅"} ${headline}`];
+      if (numTurns > 0) {
+        summaryParts.push(`${numTurns} turns`);
+      }
+      if (durationMs > 0) {
+        summaryParts.push(`${(durationMs / 1000).toFixed(1)}s`);
+      }
+      if (costUsd > 0) {
+        summaryParts.push(`$${costUsd.toFixed(4)}`);
+      }
+      summaryParts.push(...notes);
+      if (redactor.count() > 0) {
+        summaryParts.push(`${redactor.count()} secret(s) redacted`);
+      }
+
+      const summary = summaryParts.join(" • ");
+      console.log("---");
+      console.log(summary);
+      if (transcript) {
+        transcript.result(summary, details.join("\n\n"));
+      }
+      if (progress) {
+        progress.finish(summary, failed);
+      }
+
+      // Show result text or errors if present
+      for (const detail of details) {
+        console.log();
+        console.log(detail);
+      }
+    },
+
+    // Write the run report and transcript once the stream has ended
+    async close() {
+      runRecorder.write();
+      if (transcript) {
+        transcript.write();
+      }
+      if (progress) {
+        await progress.flush();
+      }
+    },
+  };
+}
+
+module.exports = {
+  createAgentOutput,
+};
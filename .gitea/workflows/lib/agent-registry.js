@@ -0,0 +1,196 @@
+/**
+ * Agent registry for Laforge
+ *
+ * Maps the short agent names used in PR commands (`/agent opus`) to a model
+ * ID, the backend that runs it and the prompts it uses. The registry is read
+ * from `.laforge/agents.yaml` on the PR's base branch when present (see
+ * lib/base-config.js), so repositories can add their own models without
+ * changing the workflow scripts, but a PR can't redefine them for itself:
+ *
+ *   default_agent: qwen
+ *   agents:
+ *     opus:
+ *       model: claude-opus-4-5-20251101
+ *       backend: claude            # claude (Claude Code) or opencode
+ *     qwen:
+ *       model: lmstudio/qwen/qwen3-coder-30b
+ *       backend: opencode
+ *       prompt: Work on the current PR. Keep changes small.
+ *       modes: [primary]           # this agent can't be used for /critique or /plan
+ *
+ * If the file is missing the built-in registry below is used. If it is
+ * invalid, every problem is logged and the built-in registry is used instead.
+ */
+
+const yaml = require("js-yaml");
+const { validate } = require("./schema");
+const { readBaseFile } = require("./base-config");
+
+const AGENTS_CONFIG_PATH = process.env.LAFORGE_AGENTS_CONFIG || ".laforge/agents.yaml";
+
+const BACKENDS = ["claude", "opencode"];
+const MODES = ["primary", "critique", "plan"];
+
+const BUILTIN_CONFIG = {
+  default_agent: "qwen",
+  agents: {
+    sonnet: { model: "claude-sonnet-4-5-20250929", backend: "claude" },
+    opus: { model: "claude-opus-4-5-20251101", backend: "claude" },
+    haiku: { model: "claude-haiku-4-5-20251001", backend: "claude" },
+    qwen: { model: "lmstudio/qwen/qwen3-coder-30b", backend: "opencode" },
+    gpt: { model: "lmstudio/openai/gpt-oss-20b", backend: "opencode" },
+  },
+};
+
+const AGENT_SCHEMA = {
+  type: "object",
+  required: ["model"],
+  additionalProperties: false,
+  properties: {
+    model: { type: "string", minLength: 1 },
+    backend: { type: "string", enum: BACKENDS },
+    description: { type: "string" },
+    prompt: { type: "string", minLength: 1 },
+    critique_prompt: { type: "string", minLength: 1 },
+    plan_prompt: { type: "string", minLength: 1 },
+    modes: {
+      type: "array",
+      minItems: 1,
+      items: { type: "string", enum: MODES },
+    },
+  },
+};
+
+const AGENTS_CONFIG_SCHEMA = {
+  type: "object",
+  required: ["agents"],
+  additionalProperties: false,
+  properties: {
+    default_agent: { type: "string", minLength: 1 },
+    agents: {
+      type: "object",
+      additionalProperties: AGENT_SCHEMA,
+    },
+  },
+};
+
+// Agent names are matched with \w+ in PR commands
+const AGENT_NAME_PATTERN = /^\w+$/;
+
+/**
+ * Validate a parsed agents config. Returns a list of error messages.
+ */
+function validateAgentsConfig(config) {
+  const errors = validate(config, AGENTS_CONFIG_SCHEMA);
+  if (errors.length > 0 || !config) {
+    return errors;
+  }
+
+  const names = Object.keys(config.agents);
+  if (names.length === 0) {
+    errors.push("agents: must define at least one agent");
+  }
+  for (const name of names) {
+    if (!AGENT_NAME_PATTERN.test(name)) {
+      errors.push(
+        `agents.${name}: agent names may only contain letters, digits and underscores`,
+      );
+    }
+  }
+  if (config.default_agent && !config.agents[config.default_agent]) {
+    errors.push(
+      `default_agent: '${config.default_agent}' is not defined under agents (defined: ${names.join(", ")})`,
+    );
+  }
+  if (!config.default_agent && names.length > 1) {
+    errors.push("default_agent: is required when more than one agent is defined");
+  }
+  return errors;
+}
+
+// Fill in defaults so callers don't have to
+function normalizeAgent(name, agent) {
+  return {
+    name,
+    model: agent.model,
+    // Claude models run in Claude Code, everything else in OpenCode
+    backend: agent.backend || (agent.model.startsWith("claude-") ? "claude" : "opencode"),
+    description: agent.description || "",
+    prompt: agent.prompt ? agent.prompt.trim() : null,
+    critiquePrompt: agent.critique_prompt ? agent.critique_prompt.trim() : null,
+    planPrompt: agent.plan_prompt ? agent.plan_prompt.trim() : null,
+    modes: agent.modes || MODES,
+  };
+}
+
+function buildRegistry(config, source) {
+  const agents = {};
+  for (const [name, agent] of Object.entries(config.agents)) {
+    agents[name] = normalizeAgent(name, agent);
+  }
+  return {
+    source,
+    defaultAgent: config.default_agent || Object.keys(agents)[0],
+    agents,
+  };
+}
+
+/**
+ * Load the agent registry from the base branch, falling back to the built-in
+ * one.
+ *
+ * @param {string} [configPath]
+ * @returns {{source: string, defaultAgent: string, agents: object, errors: string[]}}
+ */
+function loadAgentRegistry(configPath = AGENTS_CONFIG_PATH) {
+  const file = readBaseFile(configPath);
+  if (!file) {
+    return { ...buildRegistry(BUILTIN_CONFIG, "built-in"), errors: [] };
+  }
+
+  let config;
+  let errors;
+  try {
+    config = yaml.load(file.text);
+    errors = validateAgentsConfig(config);
+  } catch (error) {
+    errors = [`could not parse YAML: ${error.message}`];
+  }
+
+  if (errors.length > 0) {
+    console.log(`ERROR: Invalid agent registry in ${file.source}:`);
+    for (const error of errors) {
+      console.log(`ERROR:   ${error}`);
+    }
+    console.log("Falling back to the built-in agent registry");
+    return { ...buildRegistry(BUILTIN_CONFIG, "built-in"), errors };
+  }
+
+  console.log(`Loaded agent registry from ${file.source}`);
+  return { ...buildRegistry(config, file.source), errors: [] };
+}
+
+function getAgent(registry, name) {
+  return Object.prototype.hasOwnProperty.call(registry.agents, name)
+    ? registry.agents[name]
+    : null;
+}
+
+function agentNames(registry) {
+  return Object.keys(registry.agents);
+}
+
+function isModeAllowed(agent, mode) {
+  return agent.modes.includes(mode);
+}
+
+module.exports = {
+  AGENTS_CONFIG_PATH,
+  BUILTIN_CONFIG,
+  buildRegistry,
+  loadAgentRegistry,
+  validateAgentsConfig,
+  getAgent,
+  agentNames,
+  isModeAllowed,
+};
@@ -0,0 +1,239 @@
+/**
+ * Attachments linked from PR text
+ *
+ * fetch-pr.js downloads the files attached to the PR description, comments
+ * and reviews into .pr/attachments/ so the agent can look at them, and points
+ * the links in the history at the local copies. Images and other files are
+ * recognized in every form Gitea produces:
+ * - Markdown images and links: ![alt](url), [name](url)
+ * - HTML tags: <img src="url">, <a href="url">
+ * - Bare URLs
+ * where url is /attachments/<uuid> or /<owner>/<repo>/attachments/<uuid>
+ * (below the path Gitea is served under, if any), either relative or on the
+ * Gitea server (the API host or the host of the PR page). Attachments on
+ * other hosts are left alone, so the API token is never sent anywhere else.
+ *
+ * Files are named after the attachment UUID, with the extension taken from
+ * the Content-Type (or from the original name when the type is generic), so
+ * names neither collide nor leave the directory, and an attachment linked
+ * several times is downloaded once. Downloads stop once their total size
+ * would exceed the cap; links to attachments that weren't downloaded are
+ * kept as they are.
+ *
+ * .pr/attachments/index.json lists every attachment found:
+ *
+ *   { "max_bytes": 20971520, "total_bytes": 48213, "attachments": [
+ *     { "uuid": "...", "url": "/attachments/...", "name": "screenshot",
+ *       "file": ".pr/attachments/<uuid>.png", "content_type": "image/png",
+ *       "size": 48213 },
+ *     { "uuid": "...", "url": "...", "name": "dump.zip",
+ *       "error": "attachment size cap reached" } ] }
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_ATTACHMENTS_MAX_BYTES = 20 * 1024 * 1024;
+const MANIFEST_NAME = "index.json";
+
+const UUID_PATTERN = "[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}";
+const ATTACHMENT_PATH_REGEX = new RegExp(`^(?:/[^/?#]+/[^/?#]+)?/attachments/(${UUID_PATTERN})/?$`, "i");
+
+// ![alt](url "title") and [name](url)
+const MARKDOWN_LINK_REGEX = /(!?\[([^\]]*)\]\(\s*<?)([^\s)>]+)(>?(?:\s+(?:"[^"]*"|'[^']*'))?\s*\))/g;
+// <img src="url" alt="..."> and <a href="url">
+const HTML_LINK_REGEX = /(<(?:img|a)\b[^>]*?\s(?:src|href)\s*=\s*)(["'])(.*?)\2/gi;
+// URLs on their own (or in <url> autolinks)
+const BARE_URL_REGEX = /(^|[\s<])(https?:\/\/[^\s<>()"']+)/g;
+
+const CONTENT_TYPE_EXTENSIONS = {
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/gif": ".gif",
+  "image/webp": ".webp",
+  "image/svg+xml": ".svg",
+  "image/bmp": ".bmp",
+  "image/avif": ".avif",
+  "application/pdf": ".pdf",
+  "application/json": ".json",
+  "application/zip": ".zip",
+  "application/gzip": ".gz",
+  "application/x-gzip": ".gz",
+  "application/x-tar": ".tar",
+  "text/plain": ".txt",
+  "text/markdown": ".md",
+  "text/csv": ".csv",
+  "text/html": ".html",
+  "video/mp4": ".mp4",
+  "video/webm": ".webm",
+};
+
+/**
+ * The path Gitea is served under, e.g. "/gitea" for an API base URL of
+ * http://host/gitea/api/v1, or "" when it is served from the root.
+ */
+function giteaRootPath(apiBaseUrl) {
+  return new URL(apiBaseUrl).pathname.replace(/\/api\/v1\/?$/, "").replace(/\/$/, "");
+}
+
+/**
+ * The UUID of the attachment a URL points to, or null if it isn't a Gitea
+ * attachment URL.
+ *
+ * @param {string} url
+ * @param {string[]} hosts - Hosts (with port) of the Gitea server
+ * @param {string} [rootPath] - From giteaRootPath()
+ */
+function parseAttachmentUrl(url, hosts, rootPath = "") {
+  let pathname;
+  if (url.startsWith("/") && !url.startsWith("//")) {
+    pathname = url.split(/[?#]/)[0];
+  } else if (/^https?:\/\//i.test(url)) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return null;
+    }
+    if (!hosts.includes(parsed.host)) {
+      return null;
+    }
+    pathname = parsed.pathname;
+  } else {
+    return null;
+  }
+  if (rootPath && pathname.startsWith(`${rootPath}/`)) {
+    pathname = pathname.substring(rootPath.length);
+  }
+  const match = pathname.match(ATTACHMENT_PATH_REGEX);
+  return match ? match[1].toLowerCase() : null;
+}
+
+// e.g. ".png"; "" if neither the type nor the name tells
+function extensionFor(contentType, name) {
+  const type = (contentType || "").split(";")[0].trim().toLowerCase();
+  if (CONTENT_TYPE_EXTENSIONS[type]) {
+    return CONTENT_TYPE_EXTENSIONS[type];
+  }
+  const match = (name || "").match(/\.([A-Za-z0-9]{1,10})$/);
+  return match ? `.${match[1].toLowerCase()}` : "";
+}
+
+/**
+ * Download attachments and rewrite the links to them.
+ *
+ * @param {object} options
+ * @param {object} options.gitea - Gitea client
+ * @param {string} options.dir - Directory for the files, e.g. ".pr/attachments"
+ * @param {string[]} options.hosts - Hosts (with port) of the Gitea server
+ * @param {number} [options.maxBytes] - Cap on the total size of the files
+ */
+function createAttachmentStore({ gitea, dir, hosts, maxBytes = DEFAULT_ATTACHMENTS_MAX_BYTES }) {
+  // Manifest entries by UUID, in the order the attachments were found
+  const entries = new Map();
+  const downloads = new Map();
+  const rootPath = giteaRootPath(gitea.baseUrl);
+  let totalBytes = 0;
+
+  async function download(entry) {
+    if (totalBytes >= maxBytes) {
+      entry.error = "attachment size cap reached";
+      console.log(`Not downloading attachment ${entry.uuid}: ${entry.error}`);
+      return;
+    }
+    fs.mkdirSync(dir, { recursive: true });
+
+    // The extension is only known once the download has started
+    const partialPath = path.join(dir, `${entry.uuid}.download`);
+    try {
+      const { contentType, size } = await gitea.download(`${rootPath}/attachments/${entry.uuid}`, partialPath, {
+        maxBytes: maxBytes - totalBytes,
+      });
+      const file = path.join(dir, entry.uuid + extensionFor(contentType, entry.name));
+      fs.renameSync(partialPath, file);
+      totalBytes += size;
+      Object.assign(entry, { file, content_type: contentType || null, size });
+      console.log(`Downloaded attachment ${entry.name || entry.uuid} to ${file}`);
+    } catch (error) {
+      entry.error = error.message;
+      console.error(`Failed to download attachment ${entry.name || entry.uuid}: ${error.message}`);
+    }
+  }
+
+  function fetchAttachment(uuid, url, name) {
+    if (!downloads.has(uuid)) {
+      const entry = { uuid, url, name: name || null };
+      entries.set(uuid, entry);
+      downloads.set(uuid, download(entry));
+    }
+    return downloads.get(uuid);
+  }
+
+  // Local path for a link, or null to keep the link as it is
+  function localUrl(url) {
+    const uuid = parseAttachmentUrl(url, hosts, rootPath);
+    const entry = uuid ? entries.get(uuid) : null;
+    return entry && entry.file ? entry.file.split(path.sep).join("/") : null;
+  }
+
+  return {
+    /**
+     * Download the attachments linked from `text` and return the text with
+     * the links pointing to the local files.
+     */
+    async process(text) {
+      if (!text) {
+        return text;
+      }
+
+      const links = [
+        ...[...text.matchAll(MARKDOWN_LINK_REGEX)].map((m) => ({ url: m[3], name: m[2] })),
+        ...[...text.matchAll(HTML_LINK_REGEX)].map((m) => ({ url: m[3], name: null })),
+        ...[...text.matchAll(BARE_URL_REGEX)].map((m) => ({ url: m[2], name: null })),
+      ];
+      for (const { url, name } of links) {
+        const uuid = parseAttachmentUrl(url, hosts, rootPath);
+        if (uuid) {
+          await fetchAttachment(uuid, url, name);
+        }
+      }
+
+      return text
+        .replace(MARKDOWN_LINK_REGEX, (match, before, name, url, after) => {
+          const local = localUrl(url);
+          return local ? `${before}${local}${after}` : match;
+        })
+        .replace(HTML_LINK_REGEX, (match, before, quote, url) => {
+          const local = localUrl(url);
+          return local ? `${before}${quote}${local}${quote}` : match;
+        })
+        .replace(BARE_URL_REGEX, (match, before, url) => {
+          const local = localUrl(url);
+          return local ? `${before}${local}` : match;
+        });
+    },
+
+    // Write .pr/attachments/index.json, if any attachments were found
+    writeManifest() {
+      if (entries.size === 0) {
+        return;
+      }
+      fs.mkdirSync(dir, { recursive: true });
+      const manifest = {
+        max_bytes: maxBytes,
+        total_bytes: totalBytes,
+        attachments: [...entries.values()],
+      };
+      fs.writeFileSync(path.join(dir, MANIFEST_NAME), JSON.stringify(manifest, null, 2) + "\n");
+      const downloaded = manifest.attachments.filter((a) => a.file).length;
+      console.log(`Downloaded ${downloaded} of ${entries.size} attachment(s) (${totalBytes} bytes)`);
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_ATTACHMENTS_MAX_BYTES,
+  giteaRootPath,
+  parseAttachmentUrl,
+  createAttachmentStore,
+};
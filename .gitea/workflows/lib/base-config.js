@@ -0,0 +1,57 @@
+/**
+ * Trusted configuration files, read from the PR's base branch
+ *
+ * The workflow checks out the PR head, which the PR author and the agent
+ * control. Configuration that limits what a PR may do (the agent registry,
+ * the command permissions and the budget limits) is therefore read with
+ * `git show` from the base branch instead, so a PR can't loosen its own
+ * rules. The workflow fetches the base branch as `origin/<PR_BASE_REF>`.
+ *
+ * Environment variables:
+ * - PR_BASE_REF: Base branch of the PR (e.g. main)
+ */
+
+const { execFileSync } = require("child_process");
+
+function git(args) {
+  return execFileSync("git", args, {
+    encoding: "utf8",
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+}
+
+/**
+ * Read a file from the base branch.
+ *
+ * @param {string} filePath - Path relative to the repository root
+ * @param {string} [baseRef] - Base branch name
+ * @returns {{source: string, text: string}|null} The file contents and a
+ *   description of where they came from, or null if the base branch doesn't
+ *   have the file or can't be read (logged as an error)
+ */
+function readBaseFile(filePath, baseRef = process.env.PR_BASE_REF) {
+  if (!baseRef) {
+    console.log(`ERROR: PR_BASE_REF is not set, can't read ${filePath} from the base branch`);
+    return null;
+  }
+
+  const ref = `origin/${baseRef}`;
+  try {
+    git(["rev-parse", "--verify", "--quiet", `${ref}^{commit}`]);
+  } catch (error) {
+    console.log(`ERROR: Base branch ${ref} has not been fetched, can't read ${filePath}`);
+    return null;
+  }
+
+  const source = `${ref}:${filePath.replace(/^\.\//, "")}`;
+  try {
+    git(["cat-file", "-e", source]);
+  } catch (error) {
+    return null;
+  }
+  return { source, text: git(["show", source]) };
+}
+
+module.exports = {
+  readBaseFile,
+};
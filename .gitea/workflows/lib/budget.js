@@ -0,0 +1,356 @@
+/**
+ * Cost and token budgets for Laforge runs
+ *
+ * Every agent run's cost and token usage (from .pr/run-report.json) is added
+ * to two ledgers:
+ * - the PR ledger, kept in the PR state store under "budget" (see
+ *   lib/pr-state.js)
+ * - the repository ledger, kept per calendar month (UTC) in hidden markers
+ *   in the comments of a closed "Laforge budget ledger" issue (one comment
+ *   per PR and month), which Laforge creates on first use. It is only kept
+ *   when monthly repository limits are configured, so repositories without
+ *   them get no extra issue.
+ *
+ * Each ledger entry holds the totals and a breakdown by agent:
+ *
+ *   { "cost_usd": 1.23, "input_tokens": 900000, "output_tokens": 20000,
+ *     "runs": 4, "agents": { "sonnet": { "cost_usd": 1.23, ... } } }
+ *
+ * Limits are read from `.laforge/budget.yaml` on the PR's base branch when
+ * present (see lib/base-config.js), so a PR can't raise its own cap:
+ *
+ *   pr:
+ *     cost_usd: 5            # total for one PR
+ *     tokens: 5000000        # input + output tokens for one PR
+ *   repo:
+ *     monthly_cost_usd: 200  # all PRs, per calendar month
+ *     monthly_tokens: 100000000
+ *
+ * Limits that aren't set don't apply. A run is refused once a ledger has
+ * reached a limit; the run that crosses it is not interrupted.
+ */
+
+const yaml = require("js-yaml");
+const { validate } = require("./schema");
+const { readBaseFile } = require("./base-config");
+const { isMarkerComment, formatMarker, parseMarker } = require("./comment-markers");
+
+const BUDGET_CONFIG_PATH = process.env.LAFORGE_BUDGET_CONFIG || ".laforge/budget.yaml";
+
+// Key of the PR ledger in the PR state store
+const PR_LEDGER_KEY = "budget";
+
+const LEDGER_MARKER = "laforge:ledger";
+const LEDGER_ISSUE_TITLE = "Laforge budget ledger";
+const LEDGER_ISSUE_NOTE =
+  "_Laforge records the cost of its runs in this repository here. Please don't edit this issue._";
+
+const LIMIT_SCHEMA = { type: "number", minimum: 0 };
+
+const BUDGET_CONFIG_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    pr: {
+      type: "object",
+      additionalProperties: false,
+      properties: { cost_usd: LIMIT_SCHEMA, tokens: LIMIT_SCHEMA },
+    },
+    repo: {
+      type: "object",
+      additionalProperties: false,
+      properties: { monthly_cost_usd: LIMIT_SCHEMA, monthly_tokens: LIMIT_SCHEMA },
+    },
+  },
+};
+
+/**
+ * Load the budget limits from the base branch. Without a (valid) config file
+ * there are no limits.
+ *
+ * @returns {{source: string, pr: object, repo: object, errors: string[]}}
+ */
+function loadBudgetConfig(configPath = BUDGET_CONFIG_PATH) {
+  const none = { source: "none", pr: {}, repo: {} };
+  const file = readBaseFile(configPath);
+  if (!file) {
+    return { ...none, errors: [] };
+  }
+
+  let config;
+  let errors;
+  try {
+    // An empty file means "no limits"
+    config = yaml.load(file.text) || {};
+    errors = validate(config, BUDGET_CONFIG_SCHEMA);
+  } catch (error) {
+    errors = [`could not parse YAML: ${error.message}`];
+  }
+
+  if (errors.length > 0) {
+    console.log(`ERROR: Invalid budget config in ${file.source}:`);
+    for (const error of errors) {
+      console.log(`ERROR:   ${error}`);
+    }
+    console.log("No budget limits will be enforced");
+    return { ...none, errors };
+  }
+
+  console.log(`Loaded budget limits from ${file.source}`);
+  return { source: file.source, pr: config.pr || {}, repo: config.repo || {}, errors: [] };
+}
+
+function emptyEntry() {
+  return { cost_usd: 0, input_tokens: 0, output_tokens: 0, runs: 0 };
+}
+
+function addUsage(entry, usage) {
+  return {
+    cost_usd: (entry.cost_usd || 0) + usage.costUsd,
+    input_tokens: (entry.input_tokens || 0) + usage.inputTokens,
+    output_tokens: (entry.output_tokens || 0) + usage.outputTokens,
+    runs: (entry.runs || 0) + 1,
+  };
+}
+
+/**
+ * Add one run to a ledger entry.
+ *
+ * @param {object|null} entry
+ * @param {object} usage - { agent, costUsd, inputTokens, outputTokens }
+ */
+function recordRun(entry, usage) {
+  const current = entry || { ...emptyEntry(), agents: {} };
+  const agents = { ...(current.agents || {}) };
+  const agentName = usage.agent || "unknown";
+  agents[agentName] = addUsage(agents[agentName] || emptyEntry(), usage);
+  return { ...addUsage(current, usage), agents };
+}
+
+/**
+ * Usage of the run described by a run report (see lib/run-report.js).
+ */
+function usageFromReport(report, agent) {
+  return {
+    agent,
+    costUsd: typeof report.total_cost_usd === "number" ? report.total_cost_usd : 0,
+    inputTokens: report.input_tokens || 0,
+    outputTokens: report.output_tokens || 0,
+  };
+}
+
+function currentMonth(now = new Date()) {
+  return now.toISOString().substring(0, 7);
+}
+
+function totalTokens(entry) {
+  return entry ? (entry.input_tokens || 0) + (entry.output_tokens || 0) : 0;
+}
+
+function formatCost(value) {
+  return `$${(value || 0).toFixed(2)}`;
+}
+
+/**
+ * Check the ledgers against the limits.
+ *
+ * @returns {string|null} Why no more runs are allowed, or null
+ */
+function checkBudget(config, prEntry, repoEntry) {
+  const problems = [];
+  const { pr, repo } = config;
+  if (pr.cost_usd !== undefined && prEntry && prEntry.cost_usd >= pr.cost_usd) {
+    problems.push(`this PR has used ${formatCost(prEntry.cost_usd)} of its ${formatCost(pr.cost_usd)} budget`);
+  }
+  if (pr.tokens !== undefined && totalTokens(prEntry) >= pr.tokens) {
+    problems.push(`this PR has used ${totalTokens(prEntry)} of its ${pr.tokens} tokens`);
+  }
+  if (repo.monthly_cost_usd !== undefined && repoEntry && repoEntry.cost_usd >= repo.monthly_cost_usd) {
+    problems.push(
+      `the repository has used ${formatCost(repoEntry.cost_usd)} of its ${formatCost(repo.monthly_cost_usd)} monthly budget`,
+    );
+  }
+  if (repo.monthly_tokens !== undefined && totalTokens(repoEntry) >= repo.monthly_tokens) {
+    problems.push(
+      `the repository has used ${totalTokens(repoEntry)} of its ${repo.monthly_tokens} monthly tokens`,
+    );
+  }
+  return problems.length > 0 ? problems.join("; ") : null;
+}
+
+function hasRepoLimits(config) {
+  return config.repo.monthly_cost_usd !== undefined || config.repo.monthly_tokens !== undefined;
+}
+
+function formatEntry(title, entry, costLimit, tokenLimit) {
+  const current = entry || emptyEntry();
+  let text = `**${title}:** ${formatCost(current.cost_usd)}`;
+  if (costLimit !== undefined) {
+    text += ` of ${formatCost(costLimit)}`;
+  }
+  text += `, ${totalTokens(current)} tokens`;
+  if (tokenLimit !== undefined) {
+    text += ` of ${tokenLimit}`;
+  }
+  text += ` (${current.runs || 0} run${current.runs === 1 ? "" : "s"})\n`;
+
+  const agents = Object.entries(current.agents || {}).sort((a, b) => b[1].cost_usd - a[1].cost_usd);
+  for (const [name, usage] of agents) {
+    text += `- \`${name}\`: ${formatCost(usage.cost_usd)}, ${totalTokens(usage)} tokens (${usage.runs} run${usage.runs === 1 ? "" : "s"})\n`;
+  }
+  return text;
+}
+
+/**
+ * Render the spend so far, e.g. for the /budget command.
+ *
+ * @param {object} config - From loadBudgetConfig()
+ * @param {object|null} prEntry
+ * @param {object|null} repoEntry - This month's repository entry, or null if
+ *   it couldn't be loaded
+ */
+function formatBudget(config, prEntry, repoEntry, month = currentMonth()) {
+  let text = `**Laforge budget**\n\n`;
+  text += formatEntry("This PR", prEntry, config.pr.cost_usd, config.pr.tokens);
+  text += `\n`;
+  if (!hasRepoLimits(config)) {
+    text += `**Repository (${month}):** not tracked without monthly limits\n`;
+  } else if (repoEntry === null) {
+    text += `**Repository (${month}):** not available\n`;
+  } else {
+    text += formatEntry(`Repository (${month})`, repoEntry, config.repo.monthly_cost_usd, config.repo.monthly_tokens);
+  }
+  text += `\nLimits: ${config.source === "none" ? "none configured" : config.source}\n`;
+  return text;
+}
+
+/**
+ * Merge ledger entries, e.g. the entries of several PRs into a monthly total.
+ */
+function sumEntries(entries) {
+  const total = { ...emptyEntry(), agents: {} };
+  for (const entry of entries) {
+    for (const key of Object.keys(emptyEntry())) {
+      total[key] += entry[key] || 0;
+    }
+    for (const [name, usage] of Object.entries(entry.agents || {})) {
+      const agent = total.agents[name] || emptyEntry();
+      for (const key of Object.keys(agent)) {
+        agent[key] += usage[key] || 0;
+      }
+      total.agents[name] = agent;
+    }
+  }
+  return total;
+}
+
+/**
+ * The repository ledger, kept in a closed issue owned by the Laforge user.
+ * Each PR records its monthly spend in a comment of its own, and a month's
+ * total is the sum of those comments, so concurrent runs on different PRs
+ * never overwrite each other's spend. Monthly totals in the issue body, where
+ * earlier versions kept the whole ledger, are still counted.
+ */
+function createRepoLedger({ gitea, repoPath, prIndex, botLogin }) {
+  // Totals from the body of the ledger issue(s), by month
+  let legacyMonths = [];
+  // { comment, month, pr, entry } for every PR's comment
+  let prEntries = [];
+  let issueNumber = null;
+  let loaded = false;
+
+  const ownEntry = (month) => prEntries.find((e) => e.month === month && e.pr === String(prIndex));
+
+  return {
+    async load() {
+      const issues = await gitea.getAll(`${repoPath}/issues`, {
+        query: { state: "all", type: "issues", created_by: botLogin },
+      });
+      // Two runs may have created the issue at the same time; count both
+      const ledgerIssues = issues
+        .filter((i) => isMarkerComment(i, LEDGER_MARKER, botLogin))
+        .sort((a, b) => a.number - b.number);
+      legacyMonths = [];
+      prEntries = [];
+      for (const issue of ledgerIssues) {
+        const data = parseMarker(issue.body, LEDGER_MARKER);
+        if (data && data.months && typeof data.months === "object") {
+          legacyMonths.push(data.months);
+        }
+        const comments = await gitea.getAll(`${repoPath}/issues/${issue.number}/comments`);
+        for (const comment of comments) {
+          if (!isMarkerComment(comment, LEDGER_MARKER, botLogin)) {
+            continue;
+          }
+          const entry = parseMarker(comment.body, LEDGER_MARKER);
+          if (entry && entry.month && entry.pr) {
+            prEntries.push({ comment, month: entry.month, pr: String(entry.pr), entry });
+          }
+        }
+      }
+      if (ledgerIssues.length > 0) {
+        issueNumber = ledgerIssues[0].number;
+        console.log(`Loaded budget ledger from issue #${issueNumber}`);
+      } else {
+        console.log("No budget ledger issue found");
+      }
+      loaded = true;
+    },
+
+    month(month = currentMonth()) {
+      const entries = [
+        ...legacyMonths.map((months) => months[month]).filter(Boolean),
+        ...prEntries.filter((e) => e.month === month).map((e) => e.entry),
+      ];
+      return entries.length > 0 ? sumEntries(entries) : null;
+    },
+
+    record(usage, month = currentMonth()) {
+      const own = ownEntry(month);
+      const entry = { ...recordRun(own ? own.entry : null, usage), month, pr: String(prIndex) };
+      if (own) {
+        own.entry = entry;
+      } else {
+        prEntries.push({ comment: null, month, pr: entry.pr, entry });
+      }
+    },
+
+    async save(month = currentMonth()) {
+      if (!loaded) {
+        throw new Error("budget ledger was not loaded; refusing to overwrite it");
+      }
+      const own = ownEntry(month);
+      if (!own) {
+        return;
+      }
+      if (!issueNumber) {
+        const body = `${LEDGER_ISSUE_NOTE}\n\n${formatMarker(LEDGER_MARKER, { months: {} })}\n`;
+        const issue = await gitea.post(`${repoPath}/issues`, { title: LEDGER_ISSUE_TITLE, body });
+        issueNumber = issue.number;
+        // Keep it out of the list of open issues
+        await gitea.patch(`${repoPath}/issues/${issueNumber}`, { state: "closed" });
+        console.log(`Created budget ledger issue #${issueNumber}`);
+      }
+
+      // "PR 12" rather than "#12", which would add a reference to the PR
+      const body = `Spend of PR ${own.pr} in ${month}\n\n${formatMarker(LEDGER_MARKER, own.entry)}\n`;
+      if (own.comment) {
+        await gitea.patch(`${repoPath}/issues/comments/${own.comment.id}`, { body });
+      } else {
+        own.comment = await gitea.post(`${repoPath}/issues/${issueNumber}/comments`, { body });
+      }
+      console.log(`Updated the budget ledger of PR ${own.pr} in issue #${issueNumber}`);
+    },
+  };
+}
+
+module.exports = {
+  PR_LEDGER_KEY,
+  loadBudgetConfig,
+  recordRun,
+  usageFromReport,
+  checkBudget,
+  hasRepoLimits,
+  formatBudget,
+  createRepoLedger,
+};
@@ -0,0 +1,274 @@
+/**
+ * Slash-command parser for Laforge PR comments
+ *
+ * A command is a line of the comment that starts with `/name`, followed by
+ * positional arguments and `--flag` / `--flag=value` options. Arguments may be
+ * quoted ("like this"). Text inside fenced code blocks, inline code and `>`
+ * quotes is ignored, so quoting someone else's command doesn't run it. A
+ * comment may contain several commands, one per line.
+ *
+ * This module only parses and validates commands against COMMANDS; what a
+ * command does is up to parse-agent-command.js.
+ */
+
+/**
+ * Command definitions.
+ *
+ * - args: positional arguments, in order ({ name, required })
+ * - flags: allowed flags ({ [name]: { type: "boolean" | "string", description } })
+ * - runs: "run" if the command starts an agent run, "config" if it changes
+ *   settings for later runs, "info" if it only replies, "stop" to halt
+ */
+const COMMANDS = {
+  agent: {
+    usage: "/agent <name>",
+    description: "Set the primary agent for this and all later runs",
+    args: [{ name: "name", required: true }],
+    flags: {},
+    runs: "config",
+  },
+  critique: {
+    usage: "/critique [name] [--focus=<text>]",
+    description: "Run a one-time review with the given agent (default: the primary agent)",
+    args: [{ name: "name", required: false }],
+    flags: {
+      focus: { type: "string", description: "What the review should concentrate on" },
+    },
+    runs: "run",
+  },
+  plan: {
+    usage: "/plan [name]",
+    description: "Run a one-time planning pass that updates .pr/plan.md without changing code",
+    args: [{ name: "name", required: false }],
+    flags: {},
+    runs: "run",
+  },
+  retry: {
+    usage: "/retry [--agent=<name>]",
+    description: "Run the agent again, optionally with a different agent for this run only",
+    args: [],
+    flags: {
+      agent: { type: "string", description: "Agent to use for this run" },
+    },
+    runs: "run",
+  },
+  stop: {
+    usage: "/stop",
+    description: "Stop working on this PR and unassign Laforge (reassign to resume)",
+    args: [],
+    flags: {},
+    runs: "stop",
+  },
+  status: {
+    usage: "/status",
+    description: "Show the current agent configuration for this PR",
+    args: [],
+    flags: {},
+    runs: "info",
+  },
+  budget: {
+    usage: "/budget",
+    description: "Show the cost and token usage so far, by agent, and the budget limits",
+    args: [],
+    flags: {},
+    runs: "info",
+  },
+  help: {
+    usage: "/help [command]",
+    description: "List the available commands",
+    args: [{ name: "command", required: false }],
+    flags: {},
+    runs: "info",
+  },
+};
+
+const COMMAND_LINE_REGEX = /^\/([A-Za-z][\w-]*)(?=\s|$)(.*)$/;
+
+/**
+ * Remove the parts of a comment that must not be treated as commands:
+ * fenced code blocks, `>` quotes and inline code spans.
+ */
+function stripNonCommandText(body) {
+  const lines = (body || "").replace(/\r\n/g, "\n").split("\n");
+  const kept = [];
+  let fence = null;
+
+  for (const line of lines) {
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null;
+      }
+      continue;
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      continue;
+    }
+    if (/^\s*>/.test(line)) {
+      continue;
+    }
+    kept.push(line.replace(/`[^`]*`/g, ""));
+  }
+
+  return kept.join("\n");
+}
+
+/**
+ * Split an argument string on whitespace, honoring single and double quotes
+ * anywhere in a token (so --focus="error handling" is one token).
+ */
+function tokenize(input) {
+  const tokens = [];
+  let current = null;
+  let quote = null;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quote) {
+      if (ch === quote) {
+        quote = null;
+      } else if (ch === "\\" && quote === '"' && i + 1 < input.length) {
+        current += input[++i];
+      } else {
+        current += ch;
+      }
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+      current = current === null ? "" : current;
+    } else if (/\s/.test(ch)) {
+      if (current !== null) {
+        tokens.push(current);
+        current = null;
+      }
+    } else {
+      current = (current === null ? "" : current) + ch;
+    }
+  }
+  if (current !== null) {
+    tokens.push(current);
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse and validate one command line. Returns { command } or { error }.
+ */
+function parseCommandLine(name, rest, raw) {
+  const definition = COMMANDS[name];
+  if (!definition) {
+    return { error: { raw, name, message: `Unknown command \`/${name}\`` } };
+  }
+
+  const args = [];
+  const flags = {};
+  for (const token of tokenize(rest)) {
+    const flagMatch = token.match(/^--([\w-]+)(?:=(.*))?$/);
+    if (!flagMatch) {
+      args.push(token);
+      continue;
+    }
+
+    const [, flagName, value] = flagMatch;
+    const spec = definition.flags[flagName];
+    if (!spec) {
+      return {
+        error: { raw, name, message: `Unknown flag \`--${flagName}\` for \`/${name}\`` },
+      };
+    }
+    if (spec.type === "boolean") {
+      if (value !== undefined && !["true", "false"].includes(value)) {
+        return {
+          error: { raw, name, message: `Flag \`--${flagName}\` does not take a value` },
+        };
+      }
+      flags[flagName] = value !== "false";
+    } else {
+      if (value === undefined || value === "") {
+        return {
+          error: { raw, name, message: `Flag \`--${flagName}\` needs a value (\`--${flagName}=...\`)` },
+        };
+      }
+      flags[flagName] = value;
+    }
+  }
+
+  const required = definition.args.filter((a) => a.required).length;
+  if (args.length < required) {
+    const missing = definition.args[args.length].name;
+    return { error: { raw, name, message: `Missing argument <${missing}> for \`/${name}\`` } };
+  }
+  if (args.length > definition.args.length) {
+    return {
+      error: { raw, name, message: `Too many arguments for \`/${name}\`` },
+    };
+  }
+
+  const named = {};
+  definition.args.forEach((spec, i) => {
+    named[spec.name] = args[i] === undefined ? null : args[i];
+  });
+
+  return { command: { name, args: named, flags, raw, runs: definition.runs } };
+}
+
+/**
+ * Find every command in a comment body.
+ *
+ * @returns {{commands: object[], errors: object[]}} Commands in comment
+ *   order, and errors for unknown commands or bad arguments. Each error has
+ *   `raw` (the offending line), `name` and `message`.
+ */
+function parseCommands(body) {
+  const commands = [];
+  const errors = [];
+
+  for (const line of stripNonCommandText(body).split("\n")) {
+    const raw = line.trim();
+    const match = raw.match(COMMAND_LINE_REGEX);
+    if (!match) {
+      continue;
+    }
+    const result = parseCommandLine(match[1].toLowerCase(), match[2], raw);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      commands.push(result.command);
+    }
+  }
+
+  return { commands, errors };
+}
+
+function formatUsage(name) {
+  const definition = COMMANDS[name];
+  let text = `\`${definition.usage}\` — ${definition.description}`;
+  for (const [flag, spec] of Object.entries(definition.flags)) {
+    text += `\n  - \`--${flag}\`: ${spec.description}`;
+  }
+  return text;
+}
+
+/**
+ * Markdown help for all commands, or a single one.
+ */
+function formatHelp(name) {
+  if (name) {
+    const key = name.replace(/^\//, "").toLowerCase();
+    if (COMMANDS[key]) {
+      return formatUsage(key);
+    }
+  }
+  return Object.keys(COMMANDS)
+    .map((key) => `- ${formatUsage(key)}`)
+    .join("\n");
+}
+
+module.exports = {
+  COMMANDS,
+  stripNonCommandText,
+  tokenize,
+  parseCommands,
+  formatHelp,
+};
@@ -0,0 +1,72 @@
+/**
+ * Hidden markers in Laforge's PR comments
+ *
+ * Comments that Laforge finds again on later runs (the PR state comment, the
+ * sticky status comment) carry an HTML comment such as
+ *
+ *   <!-- laforge:state {"agent_config":{...}} -->
+ *
+ * which Gitea doesn't render. The marker name identifies the comment and the
+ * optional JSON payload holds data for the next run. Only comments by the
+ * Laforge user are trusted, so other users can't forge markers by pasting
+ * them into their own comments.
+ */
+
+function markerRegex(name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`<!--\\s*${escaped}(?:\\s([\\s\\S]*?))?-->`);
+}
+
+function isMarkerComment(comment, name, botLogin) {
+  return (
+    !!comment &&
+    !!comment.user &&
+    comment.user.login === botLogin &&
+    markerRegex(name).test(comment.body || "")
+  );
+}
+
+/**
+ * Format a marker, with `value` as its JSON payload if given.
+ */
+function formatMarker(name, value) {
+  if (value === undefined) {
+    return `<!-- ${name} -->`;
+  }
+  // ">" only occurs inside JSON strings, where > is equivalent; this
+  // keeps "-->" in a value from ending the HTML comment early
+  const json = JSON.stringify(value).replace(/>/g, "\\u003e");
+  return `<!-- ${name} ${json} -->`;
+}
+
+/**
+ * Read the JSON payload of a marker in a comment body. Returns null if the
+ * marker is missing or its payload isn't valid JSON.
+ */
+function parseMarker(body, name) {
+  const match = (body || "").match(markerRegex(name));
+  if (!match || !match[1]) {
+    return null;
+  }
+  try {
+    return JSON.parse(match[1]);
+  } catch (error) {
+    console.log(`Error parsing ${name} marker: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Remove every Laforge marker from a comment body, e.g. before showing it to
+ * the agent.
+ */
+function stripMarkers(body) {
+  return (body || "").replace(/<!--\s*laforge:[\w-]+(?:\s[\s\S]*?)?-->/g, "").trimEnd();
+}
+
+module.exports = {
+  isMarkerComment,
+  formatMarker,
+  parseMarker,
+  stripMarkers,
+};
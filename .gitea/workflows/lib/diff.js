@@ -0,0 +1,222 @@
+/**
+ * Unified diff helpers shared by the workflow scripts
+ *
+ * Parses `git diff` style output (as returned by the Gitea `.diff` endpoint
+ * and in review comment `diff_hunk` fields) into files, hunks and lines with
+ * their old-file and new-file line numbers.
+ */
+
+const HUNK_HEADER_REGEX = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/;
+
+/**
+ * Parse a hunk header such as "@@ -10,6 +12,8 @@ function foo()".
+ * Returns null if the line is not a hunk header.
+ */
+function parseHunkHeader(line) {
+  const match = line.match(HUNK_HEADER_REGEX);
+  if (!match) {
+    return null;
+  }
+  return {
+    oldStart: parseInt(match[1], 10),
+    oldLines: match[2] === undefined ? 1 : parseInt(match[2], 10),
+    newStart: parseInt(match[3], 10),
+    newLines: match[4] === undefined ? 1 : parseInt(match[4], 10),
+    section: match[5].trim(),
+  };
+}
+
+function stripPathPrefix(filePath) {
+  if (filePath === "/dev/null") {
+    return null;
+  }
+  return filePath.replace(/^[ab]\//, "");
+}
+
+/**
+ * Parse a single hunk body (lines after the header) into line records.
+ *
+ * Each record is { type: "context" | "add" | "del", content, oldLine, newLine }
+ * where oldLine is null for additions and newLine is null for deletions.
+ */
+function parseHunkLines(header, bodyLines) {
+  const lines = [];
+  let oldLine = header.oldStart;
+  let newLine = header.newStart;
+
+  for (const raw of bodyLines) {
+    if (raw.startsWith("\\")) {
+      // "\ No newline at end of file"
+      continue;
+    }
+    const marker = raw[0];
+    const content = raw.substring(1);
+    if (marker === "+") {
+      lines.push({ type: "add", content, oldLine: null, newLine: newLine++ });
+    } else if (marker === "-") {
+      lines.push({ type: "del", content, oldLine: oldLine++, newLine: null });
+    } else {
+      lines.push({ type: "context", content, oldLine: oldLine++, newLine: newLine++ });
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Parse a multi-file unified diff.
+ *
+ * Returns an array of { oldPath, newPath, path, hunks } where `path` is the
+ * new path (or the old path for deleted files) and each hunk is
+ * { ...header, lines }. Every line also carries a 1-based `position`, the
+ * GitHub-style offset of the line below the file's first hunk header.
+ */
+function parseUnifiedDiff(text) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+  let oldRemaining = 0;
+  let newRemaining = 0;
+  let position = 0;
+
+  for (const line of (text || "").split("\n")) {
+    if (line.startsWith("diff --git ")) {
+      const match = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+      file = {
+        oldPath: match ? match[1] : null,
+        newPath: match ? match[2] : null,
+        hunks: [],
+      };
+      files.push(file);
+      hunk = null;
+      position = 0;
+      continue;
+    }
+    if (!file) {
+      continue;
+    }
+
+    const header = parseHunkHeader(line);
+    if (header) {
+      if (file.hunks.length > 0) {
+        // Subsequent hunk headers count as a position
+        position++;
+      }
+      hunk = { ...header, lines: [] };
+      file.hunks.push(hunk);
+      oldRemaining = header.oldLines;
+      newRemaining = header.newLines;
+      continue;
+    }
+
+    if (hunk && line.startsWith("\\")) {
+      // "\ No newline at end of file"
+      position++;
+      continue;
+    }
+
+    if (hunk && (oldRemaining > 0 || newRemaining > 0)) {
+      // Some tools strip the trailing space of empty context lines
+      const [record] = parseHunkLines(
+        {
+          oldStart: hunk.oldStart + hunk.oldLines - oldRemaining,
+          newStart: hunk.newStart + hunk.newLines - newRemaining,
+        },
+        [line === "" ? " " : line],
+      );
+      record.position = ++position;
+      hunk.lines.push(record);
+      if (record.oldLine !== null) {
+        oldRemaining--;
+      }
+      if (record.newLine !== null) {
+        newRemaining--;
+      }
+      continue;
+    }
+
+    if (line.startsWith("--- ")) {
+      file.oldPath = stripPathPrefix(line.substring(4).trim());
+    } else if (line.startsWith("+++ ")) {
+      file.newPath = stripPathPrefix(line.substring(4).trim());
+    }
+  }
+
+  for (const f of files) {
+    f.path = f.newPath || f.oldPath;
+  }
+
+  return files;
+}
+
+/**
+ * Find the line a review comment's `diff_hunk` points at. Gitea (like GitHub)
+ * ends the hunk on the commented line, so this returns the last line record
+ * of the hunk, or null if the hunk cannot be parsed.
+ */
+function lastHunkLine(diffHunk) {
+  if (!diffHunk) {
+    return null;
+  }
+  const rawLines = diffHunk.replace(/\n+$/, "").split("\n");
+  const headerIndex = rawLines.findIndex((l) => parseHunkHeader(l));
+  if (headerIndex < 0) {
+    return null;
+  }
+  const header = parseHunkHeader(rawLines[headerIndex]);
+  const lines = parseHunkLines(header, rawLines.slice(headerIndex + 1));
+  return lines.length > 0 ? lines[lines.length - 1] : null;
+}
+
+/**
+ * Build a lookup of the new-file content of every changed line in a parsed
+ * diff: { [path]: Map(newLine -> content) }.
+ */
+function indexNewLines(files) {
+  const index = {};
+  for (const f of files) {
+    const lines = new Map();
+    for (const h of f.hunks) {
+      for (const l of h.lines) {
+        if (l.newLine !== null) {
+          lines.set(l.newLine, l.content);
+        }
+      }
+    }
+    index[f.path] = lines;
+  }
+  return index;
+}
+
+/**
+ * Find a file line in a parsed diff. `side` is "new" for a line number in the
+ * new file (added or context lines) or "old" for one in the old file (removed
+ * or context lines); renamed files match either path.
+ *
+ * Returns { file, line } (the file and line records), or null if the line is
+ * not part of the diff.
+ */
+function findDiffLine(files, filePath, line, side = "new") {
+  const key = side === "old" ? "oldLine" : "newLine";
+  for (const f of files) {
+    if (f.newPath !== filePath && f.oldPath !== filePath) {
+      continue;
+    }
+    for (const h of f.hunks) {
+      const record = h.lines.find((l) => l[key] === line);
+      if (record) {
+        return { file: f, line: record };
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseHunkHeader,
+  parseHunkLines,
+  parseUnifiedDiff,
+  lastHunkLine,
+  indexNewLines,
+  findDiffLine,
+};
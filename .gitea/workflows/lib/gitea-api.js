@@ -0,0 +1,478 @@
+/**
+ * Shared Gitea API client for Laforge workflow scripts
+ *
+ * Provides a single HTTP(S) client used by fetch-pr.js, parse-agent-command.js
+ * and post-status.js so that they all behave the same way:
+ * - Works with both http:// and https:// GITEA_API_URL values
+ * - Parses JSON only for successful JSON responses, and throws a GiteaApiError
+ *   (carrying the status code and response body) for everything else
+ * - Retries 429 and 5xx responses with exponential backoff, honoring Retry-After
+ * - Applies a per-request timeout
+ * - Follows `Link: rel="next"` headers (falling back to `page`/`limit` when
+ *   the server sends no Link header) to fetch every page of list endpoints
+ * - In dry-run mode, prints write requests (anything but GET) instead of
+ *   sending them
+ *
+ * Environment variables read by createGiteaClientFromEnv():
+ * - GITEA_TOKEN: API token for authentication
+ * - GITEA_API_URL: Base URL for the Gitea API
+ * - GITEA_API_TIMEOUT_MS: Optional request timeout (default 30000)
+ * - GITEA_API_RETRIES: Optional number of retries (default 3)
+ */
+
+const http = require("http");
+const https = require("https");
+const fs = require("fs");
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 10000;
+
+// Gitea caps `limit` at the server's MAX_RESPONSE_ITEMS (50 by default)
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGES = 100;
+
+// Methods that are safe to repeat after a server error. POST and PATCH are
+// only retried on 429, where the server guarantees nothing was processed.
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "PUT", "DELETE"];
+
+/**
+ * Error raised for non-2xx responses. `status` is the HTTP status code.
+ */
+class GiteaApiError extends Error {
+  constructor(message, { status, method, path, body } = {}) {
+    super(message);
+    this.name = "GiteaApiError";
+    this.status = status;
+    this.method = method;
+    this.path = path;
+    this.body = body;
+  }
+
+  get isNotFound() {
+    return this.status === 404;
+  }
+
+  get isUnauthorized() {
+    return this.status === 401 || this.status === 403;
+  }
+}
+
+/**
+ * Error raised when a request does not complete within the configured timeout.
+ */
+class GiteaTimeoutError extends GiteaApiError {
+  constructor(method, path, timeoutMs) {
+    super(`${method} ${path} timed out after ${timeoutMs}ms`, {
+      status: null,
+      method,
+      path,
+    });
+    this.name = "GiteaTimeoutError";
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Extract the URL with rel="next" from a Link header, if any
+function parseNextLink(linkHeader) {
+  if (!linkHeader) {
+    return null;
+  }
+  for (const part of linkHeader.split(",")) {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="?next"?/);
+    if (match) {
+      return match[1];
+    }
+  }
+  return null;
+}
+
+// Pull a readable message out of a Gitea error body ({"message": "..."})
+function describeErrorBody(data) {
+  try {
+    const parsed = JSON.parse(data);
+    if (parsed && parsed.message) {
+      return parsed.message;
+    }
+  } catch (error) {
+    // Not JSON (e.g. an HTML error page from a proxy)
+  }
+  const text = String(data || "").trim();
+  return text.length > 200 ? text.substring(0, 197) + "..." : text;
+}
+
+function retryDelay(attempt, retryAfterHeader) {
+  const retryAfter = parseInt(retryAfterHeader, 10);
+  if (!isNaN(retryAfter) && retryAfter >= 0) {
+    return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS);
+  }
+  const backoff = DEFAULT_RETRY_DELAY_MS * Math.pow(2, attempt);
+  const jitter = Math.random() * DEFAULT_RETRY_DELAY_MS;
+  return Math.min(backoff + jitter, MAX_RETRY_DELAY_MS);
+}
+
+function isRetryable(method, error) {
+  if (error.status === 429) {
+    return true;
+  }
+  if (!IDEMPOTENT_METHODS.includes(method)) {
+    return false;
+  }
+  // Timeouts and connection errors have no status
+  return error.status === null || error.status === undefined || error.status >= 500;
+}
+
+/**
+ * Create a Gitea API client.
+ *
+ * @param {object} options
+ * @param {string} options.baseUrl - API base URL, e.g. http://gitea:3000/api/v1
+ * @param {string} options.token - API token
+ * @param {number} [options.timeoutMs] - Per-request timeout
+ * @param {number} [options.retries] - Retries for 429/5xx/network errors
+ * @param {boolean} [options.dryRun] - Print write requests instead of sending
+ *   them; they resolve to null
+ */
+function createGiteaClient({ baseUrl, token, timeoutMs, retries, dryRun }) {
+  if (!baseUrl) {
+    throw new Error("Gitea API base URL is not set (GITEA_API_URL)");
+  }
+
+  const apiUrl = new URL(baseUrl);
+  const apiPath = apiUrl.pathname.replace(/\/$/, "");
+  const requestTimeout = timeoutMs || DEFAULT_TIMEOUT_MS;
+  const maxRetries = retries === undefined ? DEFAULT_RETRIES : retries;
+
+  // Resolve an API path (e.g. /repos/o/r/pulls/1) or an absolute URL
+  function resolveUrl(path, query) {
+    const url = /^https?:\/\//.test(path)
+      ? new URL(path)
+      : new URL(apiUrl.origin + apiPath + path);
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(key, value);
+      }
+    }
+    return url;
+  }
+
+  // Send a single request without retries. Resolves to the raw response.
+  function send(method, url, body, headers, onResponse) {
+    return new Promise((resolve, reject) => {
+      const bodyStr =
+        body === undefined || body === null
+          ? ""
+          : typeof body === "string"
+            ? body
+            : JSON.stringify(body);
+
+      const options = {
+        hostname: url.hostname,
+        port: url.port,
+        path: url.pathname + url.search,
+        method,
+        headers: {
+          Authorization: `token ${token}`,
+          Accept: "application/json",
+          ...headers,
+        },
+      };
+
+      if (bodyStr) {
+        options.headers["Content-Type"] =
+          options.headers["Content-Type"] || "application/json";
+        options.headers["Content-Length"] = Buffer.byteLength(bodyStr);
+      }
+
+      const protocol = url.protocol === "https:" ? https : http;
+      const req = protocol.request(options, (res) => {
+        if (onResponse) {
+          onResponse(res, resolve, reject);
+          return;
+        }
+        let data = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => {
+          data += chunk;
+        });
+        res.on("end", () =>
+          resolve({ status: res.statusCode, headers: res.headers, data }),
+        );
+        res.on("error", reject);
+      });
+
+      req.setTimeout(requestTimeout, () => {
+        req.destroy(new GiteaTimeoutError(method, url.pathname, requestTimeout));
+      });
+      req.on("error", reject);
+      if (bodyStr) {
+        req.write(bodyStr);
+      }
+      req.end();
+    });
+  }
+
+  // Run `attempt` with retries, converting failures into GiteaApiErrors
+  async function withRetries(method, url, attempt) {
+    for (let i = 0; ; i++) {
+      let error;
+      let retryAfter;
+      try {
+        const res = await attempt();
+        if (res.status >= 200 && res.status < 300) {
+          return res;
+        }
+        retryAfter = res.headers["retry-after"];
+        error = new GiteaApiError(
+          `${method} ${url.pathname} failed with HTTP ${res.status}: ${describeErrorBody(res.data)}`,
+          { status: res.status, method, path: url.pathname, body: res.data },
+        );
+      } catch (err) {
+        error =
+          err instanceof GiteaApiError
+            ? err
+            : new GiteaApiError(`${method} ${url.pathname} failed: ${err.message}`, {
+                status: null,
+                method,
+                path: url.pathname,
+              });
+      }
+
+      if (i >= maxRetries || !isRetryable(method, error)) {
+        throw error;
+      }
+      const delay = retryDelay(i, retryAfter);
+      console.log(
+        `${error.message}; retrying in ${Math.round(delay)}ms (${i + 1}/${maxRetries})`,
+      );
+      await sleep(delay);
+    }
+  }
+
+  /**
+   * Make an API request.
+   *
+   * @param {string} method - HTTP method
+   * @param {string} path - API path relative to the base URL, or absolute URL
+   * @param {object} [body] - JSON request body
+   * @param {object} [options]
+   * @param {object} [options.query] - Query string parameters
+   * @param {string} [options.responseType] - "json" (default) or "text"
+   * @returns {Promise<{data: *, headers: object, status: number}>}
+   */
+  async function requestRaw(method, path, body, options = {}) {
+    const url = resolveUrl(path, options.query);
+    const headers = {};
+    if (options.responseType === "text") {
+      headers.Accept = "text/plain";
+    }
+
+    if (dryRun && method !== "GET") {
+      console.log(`[dry-run] ${method} ${url.pathname}${url.search}`);
+      if (body !== undefined && body !== null) {
+        console.log(JSON.stringify(body, null, 2));
+      }
+      return { data: null, headers: {}, status: null };
+    }
+
+    console.log(`${method} ${url.origin}${url.pathname}${url.search}...`);
+
+    const res = await withRetries(method, url, () =>
+      send(method, url, body, headers),
+    );
+
+    if (options.responseType === "text") {
+      return { data: res.data, headers: res.headers, status: res.status };
+    }
+    if (!res.data) {
+      return { data: null, headers: res.headers, status: res.status };
+    }
+    try {
+      return {
+        data: JSON.parse(res.data),
+        headers: res.headers,
+        status: res.status,
+      };
+    } catch (error) {
+      throw new GiteaApiError(
+        `${method} ${url.pathname} returned invalid JSON: ${describeErrorBody(res.data)}`,
+        { status: res.status, method, path: url.pathname, body: res.data },
+      );
+    }
+  }
+
+  async function request(method, path, body, options) {
+    const res = await requestRaw(method, path, body, options);
+    return res.data;
+  }
+
+  /**
+   * Fetch every page of a list endpoint and return the concatenated items.
+   *
+   * @param {string} path - API path of a list endpoint
+   * @param {object} [options]
+   * @param {object} [options.query] - Extra query string parameters
+   * @param {number} [options.limit] - Page size
+   * @param {number} [options.maxPages] - Safety cap on pages fetched
+   */
+  async function getAll(path, options = {}) {
+    const limit = options.limit || DEFAULT_PAGE_SIZE;
+    const maxPages = options.maxPages || MAX_PAGES;
+    const items = [];
+
+    let next = path;
+    let query = { ...options.query, page: 1, limit };
+
+    for (let page = 1; next && page <= maxPages; page++) {
+      const res = await requestRaw("GET", next, null, { query });
+      if (!Array.isArray(res.data)) {
+        throw new GiteaApiError(`GET ${path} did not return a list`, {
+          status: res.status,
+          method: "GET",
+          path,
+        });
+      }
+      items.push(...res.data);
+
+      const nextLink = parseNextLink(res.headers.link);
+      if (nextLink) {
+        // The Link URL already carries the page/limit parameters. Its host is
+        // Gitea's public ROOT_URL, which may differ from the API URL, so only
+        // its path and query are used and the token never goes elsewhere.
+        const linkUrl = new URL(nextLink, apiUrl.origin);
+        next = apiUrl.origin + linkUrl.pathname + linkUrl.search;
+        query = null;
+      } else if (!res.headers.link && res.data.length >= limit) {
+        // Without a Link header, a full page may be followed by another one.
+        // A Link header without rel="next" means this was the last page.
+        next = path;
+        query = { ...options.query, page: page + 1, limit };
+      } else {
+        next = null;
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Download a file (e.g. an attachment) to disk. Relative URLs such as
+   * /attachments/<uuid> are resolved against the Gitea server origin.
+   *
+   * @param {string} fileUrl
+   * @param {string} localPath
+   * @param {object} [options]
+   * @param {number} [options.maxBytes] - Give up (and delete the partial
+   *   file) once the download is larger than this
+   * @returns {Promise<{contentType: string, size: number}>}
+   */
+  async function download(fileUrl, localPath, { maxBytes } = {}) {
+    const url = new URL(fileUrl, apiUrl.origin);
+    console.log(`Downloading ${url.href} to ${localPath}...`);
+
+    const res = await withRetries("GET", url, () =>
+      send("GET", url, null, { Accept: "*/*" }, (res, resolve, reject) => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          res.resume();
+          resolve({ status: res.statusCode, headers: res.headers, data: "" });
+          return;
+        }
+
+        // Resolved rather than rejected, so the download isn't retried
+        const tooLarge = () => resolve({ status: res.statusCode, headers: res.headers, tooLarge: true });
+        if (maxBytes !== undefined && parseInt(res.headers["content-length"], 10) > maxBytes) {
+          res.resume();
+          tooLarge();
+          return;
+        }
+
+        let size = 0;
+        const fileStream = fs.createWriteStream(localPath);
+        res.on("data", (chunk) => {
+          size += chunk.length;
+          if (maxBytes !== undefined && size > maxBytes && !res.destroyed) {
+            res.unpipe(fileStream);
+            res.destroy();
+            fileStream.on("close", () => fs.unlink(localPath, () => {}));
+            fileStream.destroy();
+            tooLarge();
+          }
+        });
+        res.pipe(fileStream);
+
+        fileStream.on("finish", () => {
+          fileStream.close();
+          resolve({ status: res.statusCode, headers: res.headers, size });
+        });
+
+        fileStream.on("error", (err) => {
+          fs.unlink(localPath, () => {}); // Clean up partial file
+          reject(err);
+        });
+      }),
+    );
+
+    if (res.tooLarge) {
+      throw new Error(`${url.pathname} is larger than ${maxBytes} bytes`);
+    }
+    return { contentType: res.headers["content-type"] || "", size: res.size };
+  }
+
+  return {
+    baseUrl: apiUrl.origin + apiPath,
+    request,
+    requestRaw,
+    getAll,
+    download,
+    get: (path, options) => request("GET", path, null, options),
+    post: (path, body, options) => request("POST", path, body, options),
+    patch: (path, body, options) => request("PATCH", path, body, options),
+    put: (path, body, options) => request("PUT", path, body, options),
+    delete: (path, body, options) => request("DELETE", path, body, options),
+  };
+}
+
+/**
+ * Create a client from GITEA_API_URL / GITEA_TOKEN and the optional tuning
+ * variables.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - See createGiteaClient()
+ */
+function createGiteaClientFromEnv({ dryRun = false } = {}) {
+  return createGiteaClient({
+    dryRun,
+    baseUrl: process.env.GITEA_API_URL,
+    token: process.env.GITEA_TOKEN,
+    timeoutMs: parseInt(process.env.GITEA_API_TIMEOUT_MS, 10) || undefined,
+    retries: process.env.GITEA_API_RETRIES
+      ? parseInt(process.env.GITEA_API_RETRIES, 10)
+      : undefined,
+  });
+}
+
+/**
+ * Read the repository owner, name and PR index from the workflow environment.
+ * GITEA_REPO_NAME is "owner/repo" in Gitea Actions, so only the last segment
+ * is used.
+ */
+function getRepoContext() {
+  const owner = process.env.GITEA_REPO_OWNER;
+  const fullRepo = process.env.GITEA_REPO_NAME || "";
+  const repo = fullRepo.split("/").pop();
+  const prIndex = process.env.PR_INDEX;
+  return { owner, repo, prIndex, repoPath: `/repos/${owner}/${repo}` };
+}
+
+module.exports = {
+  GiteaApiError,
+  GiteaTimeoutError,
+  createGiteaClient,
+  createGiteaClientFromEnv,
+  getRepoContext,
+  parseNextLink,
+};
@@ -0,0 +1,240 @@
+/**
+ * Issues and PRs referenced from a PR, for fetch-pr.js
+ *
+ * References are found in the PR description, comments and reviews:
+ * - `#123` (this repository)
+ * - `owner/repo#45`
+ * - full issue or PR URLs on the Gitea server (…/owner/repo/issues/7,
+ *   …/owner/repo/pulls/8)
+ * References after a closing keyword ("Fixes #123", "closes owner/repo#4",
+ * "resolved: #5", ...) are marked as closed by the PR when it is merged.
+ * References inside code blocks and inline code are ignored, and so are bare
+ * `#000000`-style numbers that look like hex colors rather than issues.
+ *
+ * Each referenced issue or PR is fetched with its comments. With a depth
+ * above 1, the references in those are followed as well, until the depth or
+ * the count limit is reached. Issues that can't be fetched (deleted, or in a
+ * repository Laforge can't read) are listed with the error.
+ */
+
+const { isStateComment } = require("./pr-state");
+const { isProgressComment } = require("./progress-comment");
+const { stripMarkers } = require("./comment-markers");
+
+const DEFAULT_MAX_LINKED_ISSUES = 10;
+const DEFAULT_LINK_DEPTH = 1;
+
+// Only the most recent comments of a linked issue are shown
+const MAX_LINKED_COMMENTS = 20;
+
+const CLOSING_KEYWORDS = "(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)";
+const NAME = "[A-Za-z0-9_.-]+";
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Blank out code, where `#1` is usually not a reference
+function stripCode(text) {
+  return text.replace(/```[\s\S]*?(?:```|$)/g, " ").replace(/`[^`\n]*`/g, " ");
+}
+
+// Issue indices never start with 0, and six or eight digits are far more
+// likely a CSS color (#000000, #12345678) than an issue
+function looksLikeColor(digits) {
+  return digits.startsWith("0") || digits.length === 6 || digits.length === 8;
+}
+
+/**
+ * Find the issue and PR references in a text.
+ *
+ * @param {string} text
+ * @param {object} context
+ * @param {string} context.owner - Repository that `#123` refers to
+ * @param {string} context.repo
+ * @param {string[]} context.hosts - Hosts (with port) of the Gitea server
+ * @returns {{owner: string, repo: string, index: number, closing: boolean}[]}
+ */
+function findReferences(text, { owner, repo, hosts }) {
+  if (!text) {
+    return [];
+  }
+  const hostPattern = hosts.map(escapeRegex).join("|");
+  const reference = [
+    `https?://(?:${hostPattern})(?:/[^\\s/]+)*?/(?<urlOwner>${NAME})/(?<urlRepo>${NAME})/(?:issues|pulls)/(?<urlIndex>\\d+)`,
+    `(?<![\\w/.&-])(?:(?<refOwner>${NAME})/(?<refRepo>${NAME}))?#(?<refIndex>\\d+)\\b`,
+  ].join("|");
+  const regex = new RegExp(`(?<keyword>\\b${CLOSING_KEYWORDS}:?\\s+)?(?:${reference})`, "gi");
+
+  const references = [];
+  for (const match of stripCode(text).matchAll(regex)) {
+    const g = match.groups;
+    const ref = g.urlIndex
+      ? { owner: g.urlOwner, repo: g.urlRepo, index: parseInt(g.urlIndex, 10) }
+      : { owner: g.refOwner || owner, repo: g.refRepo || repo, index: parseInt(g.refIndex, 10) };
+    if (ref.index > 0 && !(g.refIndex && !g.refOwner && !g.keyword && looksLikeColor(g.refIndex))) {
+      references.push({ ...ref, closing: !!g.keyword });
+    }
+  }
+  return references;
+}
+
+function refKey({ owner, repo, index }) {
+  return `${owner}/${repo}#${index}`.toLowerCase();
+}
+
+/**
+ * Fetch the issues and PRs referenced from the given texts.
+ *
+ * @param {object} options
+ * @param {object} options.gitea - Gitea client
+ * @param {object} options.pr - The PR itself, which is never fetched again
+ * @param {string} options.owner
+ * @param {string} options.repo
+ * @param {{text: string, source: string}[]} options.sources - Texts to scan,
+ *   e.g. { text: pr.body, source: "PR description" }
+ * @param {string[]} options.hosts
+ * @param {string} options.botLogin
+ * @param {string} [options.progressUser] - Author of progress comments
+ * @param {number} [options.maxCount]
+ * @param {number} [options.maxDepth]
+ * @returns {Promise<object[]>} In the order they were first referenced
+ */
+async function fetchLinkedIssues({
+  gitea,
+  pr,
+  owner,
+  repo,
+  sources,
+  hosts,
+  botLogin,
+  progressUser = botLogin,
+  maxCount = DEFAULT_MAX_LINKED_ISSUES,
+  maxDepth = DEFAULT_LINK_DEPTH,
+}) {
+  const seen = new Set([refKey({ owner, repo, index: pr.number })]);
+  const linked = [];
+  let skipped = 0;
+
+  // Breadth first, so the closest references are kept when the limit is hit
+  let queue = [];
+  for (const { text, source } of sources) {
+    for (const ref of findReferences(text, { owner, repo, hosts })) {
+      queue.push({ ...ref, source });
+    }
+  }
+
+  for (let depth = 1; depth <= maxDepth && queue.length > 0; depth++) {
+    const next = [];
+    for (const ref of queue) {
+      const key = refKey(ref);
+      if (seen.has(key)) {
+        // A closing keyword anywhere marks the issue as closed by the PR
+        const existing = linked.find((l) => refKey(l) === key);
+        if (existing && ref.closing && depth === 1) {
+          existing.closing = true;
+        }
+        continue;
+      }
+      seen.add(key);
+      if (linked.length >= maxCount) {
+        skipped++;
+        continue;
+      }
+
+      const entry = {
+        owner: ref.owner,
+        repo: ref.repo,
+        index: ref.index,
+        closing: ref.closing && depth === 1,
+        source: ref.source,
+        depth,
+      };
+      linked.push(entry);
+      const issuePath = `/repos/${ref.owner}/${ref.repo}/issues/${ref.index}`;
+      try {
+        entry.issue = await gitea.get(issuePath);
+        entry.comments = (await gitea.getAll(`${issuePath}/comments`))
+          .filter((c) => !isStateComment(c, botLogin) && !isProgressComment(c, progressUser))
+          .map((c) => ({ ...c, body: stripMarkers(c.body) }));
+      } catch (error) {
+        entry.error = error.message;
+        console.log(`Could not fetch linked issue ${key}: ${error.message}`);
+        continue;
+      }
+
+      const context = { owner: ref.owner, repo: ref.repo, hosts };
+      const label = `${ref.owner}/${ref.repo}#${ref.index}`;
+      for (const text of [entry.issue.body, ...entry.comments.map((c) => c.body)]) {
+        for (const nested of findReferences(text, context)) {
+          next.push({ ...nested, source: label });
+        }
+      }
+    }
+    queue = next;
+  }
+
+  if (skipped > 0) {
+    console.log(`Skipped ${skipped} linked issue(s) over the limit of ${maxCount}`);
+  }
+  return linked;
+}
+
+// e.g. "#12" in this repository, "other/repo#12" elsewhere
+function formatRef(entry, owner, repo) {
+  const sameRepo =
+    entry.owner.toLowerCase() === owner.toLowerCase() &&
+    entry.repo.toLowerCase() === repo.toLowerCase();
+  return sameRepo ? `#${entry.index}` : `${entry.owner}/${entry.repo}#${entry.index}`;
+}
+
+/**
+ * Render the "Linked Issues" section of history.md.
+ *
+ * @param {object[]} linked - From fetchLinkedIssues()
+ * @param {object} context - { owner, repo, renderBody }
+ */
+async function formatLinkedIssues(linked, { owner, repo, renderBody }) {
+  let text = `\n## Linked Issues\n`;
+  if (linked.length === 0) {
+    return text + "\n_No linked issues or PRs._\n";
+  }
+
+  for (const entry of linked) {
+    const ref = formatRef(entry, owner, repo);
+    if (entry.error) {
+      text += `\n### ${ref}\n\n_Could not be fetched: ${entry.error}_\n`;
+      continue;
+    }
+
+    const { issue, comments } = entry;
+    const kind = issue.pull_request ? "PR" : "Issue";
+    const state = issue.pull_request && issue.pull_request.merged ? "merged" : issue.state;
+    text += `\n### ${kind} ${ref}: ${issue.title} (${state})\n`;
+    text += `**Author:** ${issue.user ? issue.user.login : "unknown"}`;
+    text += ` • **Referenced from:** ${entry.source}`;
+    if (entry.closing) {
+      text += " • **Closed when this PR is merged**";
+    }
+    text += "\n";
+    if (issue.body) {
+      text += `\n${await renderBody(issue.body)}\n`;
+    }
+
+    if (comments.length > MAX_LINKED_COMMENTS) {
+      text += `\n_${comments.length - MAX_LINKED_COMMENTS} earlier comment(s) not shown._\n`;
+    }
+    for (const c of comments.slice(-MAX_LINKED_COMMENTS)) {
+      text += `\n**${c.user.login}** (${c.created_at}):\n${await renderBody(c.body)}\n`;
+    }
+  }
+  return text;
+}
+
+module.exports = {
+  DEFAULT_MAX_LINKED_ISSUES,
+  DEFAULT_LINK_DEPTH,
+  findReferences,
+  fetchLinkedIssues,
+  formatLinkedIssues,
+};
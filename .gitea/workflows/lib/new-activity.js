@@ -0,0 +1,249 @@
+/**
+ * "Since last run" digest for fetch-pr.js
+ *
+ * Each run records a cursor (the newest comment, review and review comment
+ * IDs it saw, the PR head SHA and a timestamp). The next run compares against
+ * it to write .pr/new-activity.md, which lists only what happened since, with
+ * the event that triggered the run on top.
+ *
+ * fetch-pr.js writes the cursor for the current run to .pr/run-cursor.json,
+ * which is never committed. save-run-cursor.js moves it into the PR state
+ * store (see lib/pr-state.js) once the agent has finished, so the cursor only
+ * advances when a run completes.
+ */
+
+const fs = require("fs");
+
+const RUN_CURSOR_PATH = ".pr/run-cursor.json";
+
+// Key of the last completed run's cursor in the PR state store
+const RUN_CURSOR_KEY = "last_run_cursor";
+
+function readRunCursor() {
+  try {
+    if (fs.existsSync(RUN_CURSOR_PATH)) {
+      return JSON.parse(fs.readFileSync(RUN_CURSOR_PATH, "utf8"));
+    }
+  } catch (error) {
+    console.log(`Error reading run cursor: ${error.message}`);
+  }
+  return null;
+}
+
+/**
+ * The cursor of the last completed run, or null before the first one.
+ */
+function loadLastRunCursor(store) {
+  const cursor = store.get(RUN_CURSOR_KEY);
+  if (cursor) {
+    return cursor;
+  }
+
+  // PRs from before the state store still have the cursor in the branch
+  return readRunCursor();
+}
+
+function writeRunCursor(cursor) {
+  fs.writeFileSync(RUN_CURSOR_PATH, JSON.stringify(cursor, null, 2) + "\n");
+  console.log(`Updated run cursor at ${RUN_CURSOR_PATH}`);
+}
+
+function maxId(items) {
+  return items.reduce((max, item) => Math.max(max, item.id || 0), 0);
+}
+
+/**
+ * Build the cursor describing everything seen by this run.
+ */
+function buildRunCursor({ pr, comments, reviews }) {
+  const reviewComments = reviews.flatMap((r) => r.comments || []);
+  return {
+    timestamp: new Date().toISOString(),
+    head_sha: pr.head.sha,
+    last_comment_id: maxId(comments),
+    last_review_id: maxId(reviews),
+    last_review_comment_id: maxId(reviewComments),
+  };
+}
+
+// An item is new if its ID is past the cursor, or edited since the last run
+function classify(item, lastId, since, dateField) {
+  if ((item.id || 0) > lastId) {
+    return "new";
+  }
+  const updated = item.updated_at;
+  if (updated && updated !== item[dateField] && new Date(updated) > since) {
+    return "edited";
+  }
+  return null;
+}
+
+/**
+ * Collect the activity since `cursor`. Items authored by the bot are left
+ * out: they are the agent's own previous output.
+ */
+function collectNewActivity({ pr, comments, reviews, cursor, botLogin }) {
+  const since = new Date(cursor.timestamp);
+  const notBot = (item) => !(item.user && item.user.login === botLogin);
+
+  const newComments = [];
+  for (const c of comments.filter(notBot)) {
+    const state = classify(c, cursor.last_comment_id || 0, since, "created_at");
+    if (state) {
+      newComments.push({ ...c, activity: state });
+    }
+  }
+
+  const newReviews = [];
+  const newReviewComments = [];
+  for (const r of reviews) {
+    if (notBot(r)) {
+      const state = classify(r, cursor.last_review_id || 0, since, "submitted_at");
+      if (state) {
+        newReviews.push({ ...r, activity: state });
+      }
+    }
+    for (const c of (r.comments || []).filter(notBot)) {
+      const state = classify(
+        c,
+        cursor.last_review_comment_id || 0,
+        since,
+        "created_at",
+      );
+      if (state) {
+        newReviewComments.push({ ...c, review_state: r.state, activity: state });
+      }
+    }
+  }
+
+  return {
+    since,
+    previousHeadSha: cursor.head_sha,
+    headSha: pr.head.sha,
+    comments: newComments,
+    reviews: newReviews,
+    reviewComments: newReviewComments,
+  };
+}
+
+/**
+ * Locate the event that triggered this run from COMMENT_ID / REVIEW_ID.
+ */
+function findTrigger({ comments, reviews, commentId, reviewId }) {
+  if (commentId) {
+    const id = parseInt(commentId, 10);
+    const comment = comments.find((c) => c.id === id);
+    if (comment) {
+      return { kind: "comment", item: comment };
+    }
+    for (const r of reviews) {
+      const reviewComment = (r.comments || []).find((c) => c.id === id);
+      if (reviewComment) {
+        return { kind: "review_comment", item: { ...reviewComment, review_state: r.state } };
+      }
+    }
+  }
+  if (reviewId) {
+    const id = parseInt(reviewId, 10);
+    const review = reviews.find((r) => r.id === id);
+    if (review) {
+      return { kind: "review", item: review };
+    }
+  }
+  return null;
+}
+
+function activityTag(item) {
+  return item.activity === "edited" ? " _(edited)_" : "";
+}
+
+/**
+ * Render the digest as markdown.
+ *
+ * @param {object} options
+ * @param {number} options.prIndex
+ * @param {object|null} options.activity - From collectNewActivity, null on the first run
+ * @param {object|null} options.trigger - From findTrigger
+ * @param {function} options.renderBody - Post-processes comment bodies (may be async)
+ * @param {function} options.describeLocation - Formats a review comment's location
+ */
+async function formatNewActivity({
+  prIndex,
+  activity,
+  trigger,
+  renderBody,
+  describeLocation,
+}) {
+  let text = `# New activity on PR #${prIndex}\n\n`;
+
+  if (trigger) {
+    const { kind, item } = trigger;
+    text += `## Triggered by\n\n`;
+    if (kind === "comment") {
+      text += `**${item.user.login}** commented (${item.created_at}):\n`;
+    } else if (kind === "review_comment") {
+      text += `**${item.user.login}** commented on ${describeLocation(item)} (${item.review_state}, ${item.created_at}):\n`;
+    } else {
+      text += `**${item.user.login}** submitted a review (${item.state}, ${item.submitted_at}):\n`;
+    }
+    text += item.body ? `${await renderBody(item.body)}\n\n` : "_(no text)_\n\n";
+  }
+
+  if (!activity) {
+    text += `This is the first Laforge run on this PR. Everything is new; see \`.pr/history.md\` for the full PR history.\n`;
+    return text;
+  }
+
+  text += `_Activity since the last Laforge run (${activity.since.toISOString()}). The full history is in \`.pr/history.md\`._\n`;
+
+  if (activity.previousHeadSha && activity.previousHeadSha !== activity.headSha) {
+    text += `\nThe branch head moved from \`${activity.previousHeadSha.substring(0, 7)}\` to \`${activity.headSha.substring(0, 7)}\` since the last run.\n`;
+  }
+
+  const total =
+    activity.comments.length +
+    activity.reviews.length +
+    activity.reviewComments.length;
+  if (total === 0) {
+    text += `\nNo new comments or reviews since the last run.\n`;
+    return text;
+  }
+
+  if (activity.comments.length > 0) {
+    text += `\n## Conversation Comments\n`;
+    for (const c of activity.comments) {
+      text += `\n**${c.user.login}** (${c.created_at})${activityTag(c)}:\n${await renderBody(c.body)}\n`;
+    }
+  }
+
+  if (activity.reviews.length > 0) {
+    text += `\n## Reviews\n`;
+    for (const r of activity.reviews) {
+      text += `\n### ${r.user.login} - ${r.state} (${r.submitted_at})${activityTag(r)}\n`;
+      if (r.body) {
+        text += `${await renderBody(r.body)}\n`;
+      }
+    }
+  }
+
+  if (activity.reviewComments.length > 0) {
+    text += `\n## Review Comments\n`;
+    for (const c of activity.reviewComments) {
+      text += `\n**${c.user.login}** on ${describeLocation(c)} (${c.review_state}, ${c.created_at})${activityTag(c)}:\n${await renderBody(c.body)}\n`;
+    }
+  }
+
+  return text;
+}
+
+module.exports = {
+  RUN_CURSOR_PATH,
+  RUN_CURSOR_KEY,
+  readRunCursor,
+  loadLastRunCursor,
+  writeRunCursor,
+  buildRunCursor,
+  collectNewActivity,
+  findTrigger,
+  formatNewActivity,
+};
@@ -0,0 +1,184 @@
+/**
+ * Command authorization for Laforge
+ *
+ * Decides who may run which PR command, based on the commenter's permission
+ * on the repository as reported by the Gitea collaborator permission API.
+ * Rules are read from `.laforge/permissions.yaml` on the PR's base branch
+ * when present (see lib/base-config.js), so a PR can't change its own rules:
+ *
+ *   commands:
+ *     agent: write        # minimum permission to use /agent
+ *     status: read
+ *   agents:
+ *     opus: admin         # minimum permission to select this agent
+ *
+ * Permission levels, lowest to highest: none, read, write, admin, owner.
+ * Commands and agents that aren't listed use the defaults below. Invalid
+ * files are reported in the job log and the defaults are used instead.
+ *
+ * The Laforge user needs admin access to the repository to look up other
+ * users' permissions; if the lookup fails the commenter is treated as having
+ * no access.
+ */
+
+const yaml = require("js-yaml");
+const { validate } = require("./schema");
+const { readBaseFile } = require("./base-config");
+const { COMMANDS } = require("./commands");
+
+const PERMISSIONS_CONFIG_PATH =
+  process.env.LAFORGE_PERMISSIONS_CONFIG || ".laforge/permissions.yaml";
+
+const PERMISSION_LEVELS = ["none", "read", "write", "admin", "owner"];
+
+const DEFAULT_RULES = {
+  commands: {
+    agent: "write",
+    critique: "write",
+    plan: "write",
+    retry: "write",
+    stop: "write",
+    status: "read",
+    budget: "read",
+    help: "read",
+  },
+  agents: {},
+};
+
+const LEVEL_SCHEMA = { type: "string", enum: PERMISSION_LEVELS };
+
+const PERMISSIONS_CONFIG_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    commands: {
+      type: "object",
+      additionalProperties: false,
+      properties: Object.fromEntries(
+        Object.keys(COMMANDS).map((name) => [name, LEVEL_SCHEMA]),
+      ),
+    },
+    agents: {
+      type: "object",
+      additionalProperties: LEVEL_SCHEMA,
+    },
+  },
+};
+
+/**
+ * Load the permission rules from the base branch, merged over the defaults.
+ *
+ * @returns {{source: string, commands: object, agents: object, errors: string[]}}
+ */
+function loadPermissionRules(configPath = PERMISSIONS_CONFIG_PATH) {
+  const defaults = {
+    source: "built-in",
+    commands: { ...DEFAULT_RULES.commands },
+    agents: { ...DEFAULT_RULES.agents },
+  };
+  const file = readBaseFile(configPath);
+  if (!file) {
+    return { ...defaults, errors: [] };
+  }
+
+  let config;
+  let errors;
+  try {
+    // An empty file means "use the defaults"
+    config = yaml.load(file.text) || {};
+    errors = validate(config, PERMISSIONS_CONFIG_SCHEMA);
+  } catch (error) {
+    errors = [`could not parse YAML: ${error.message}`];
+  }
+
+  if (errors.length > 0) {
+    console.log(`ERROR: Invalid permission rules in ${file.source}:`);
+    for (const error of errors) {
+      console.log(`ERROR:   ${error}`);
+    }
+    console.log("Falling back to the built-in permission rules");
+    return { ...defaults, errors };
+  }
+
+  console.log(`Loaded permission rules from ${file.source}`);
+  return {
+    source: file.source,
+    commands: { ...defaults.commands, ...config.commands },
+    agents: { ...defaults.agents, ...config.agents },
+    errors: [],
+  };
+}
+
+function hasPermission(actual, required) {
+  return PERMISSION_LEVELS.indexOf(actual) >= PERMISSION_LEVELS.indexOf(required);
+}
+
+/**
+ * Create a lazy, cached lookup of a user's permission on the repository.
+ *
+ * @returns {function(): Promise<string>} Resolves to a PERMISSION_LEVELS entry
+ */
+function createPermissionLookup(gitea, repoPath, login) {
+  let cached = null;
+  return async () => {
+    if (cached === null) {
+      try {
+        const result = await gitea.get(
+          `${repoPath}/collaborators/${encodeURIComponent(login)}/permission`,
+        );
+        cached = PERMISSION_LEVELS.includes(result.permission)
+          ? result.permission
+          : "none";
+      } catch (error) {
+        console.log(
+          `Could not look up ${login}'s permission (${error.message}); treating as none`,
+        );
+        cached = "none";
+      }
+      console.log(`${login} has ${cached} permission on the repository`);
+    }
+    return cached;
+  };
+}
+
+/**
+ * Check whether a user may run a command, and (if given) select an agent.
+ * Returns null when allowed, or a message explaining the denial.
+ */
+async function checkCommandPermission({
+  rules,
+  lookup,
+  login,
+  commandName,
+  agentName,
+}) {
+  const requiredForCommand = rules.commands[commandName] || "write";
+  const requiredForAgent = agentName ? rules.agents[agentName] || "none" : "none";
+
+  const required = hasPermission(requiredForCommand, requiredForAgent)
+    ? requiredForCommand
+    : requiredForAgent;
+  if (required === "none") {
+    return null;
+  }
+
+  const actual = await lookup();
+  if (hasPermission(actual, required)) {
+    return null;
+  }
+
+  const what =
+    required === requiredForAgent && requiredForAgent !== "none"
+      ? `use agent \`${agentName}\``
+      : `use \`/${commandName}\``;
+  return `${login} needs ${required} access to ${what} (has ${actual})`;
+}
+
+module.exports = {
+  PERMISSION_LEVELS,
+  DEFAULT_RULES,
+  loadPermissionRules,
+  hasPermission,
+  createPermissionLookup,
+  checkCommandPermission,
+};
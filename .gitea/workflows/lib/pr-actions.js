@@ -0,0 +1,102 @@
+/**
+ * PR actions requested in .pr/status.yaml (and by PR commands)
+ *
+ * Each function performs one change on the PR through the Gitea API and
+ * throws a GiteaApiError (or an Error explaining the problem) on failure;
+ * callers decide whether a failed action is fatal.
+ */
+
+/**
+ * Remove one user from the PR's assignees, keeping everyone else.
+ *
+ * @returns {Promise<boolean>} false if the user wasn't assigned
+ */
+async function unassignUser(gitea, repoPath, prIndex, login) {
+  const issue = await gitea.get(`${repoPath}/issues/${prIndex}`);
+  const current = (issue.assignees || []).map((a) => a.login);
+  if (!current.includes(login)) {
+    return false;
+  }
+  await gitea.patch(`${repoPath}/issues/${prIndex}`, {
+    assignees: current.filter((l) => l !== login),
+  });
+  return true;
+}
+
+/**
+ * Add and remove labels by name. Gitea's label endpoints take IDs, so the
+ * names are looked up in the repository's labels first.
+ */
+async function updateLabels(gitea, repoPath, prIndex, { add = [], remove = [] }) {
+  const missing = [];
+  if (add.length > 0) {
+    const labels = await gitea.getAll(`${repoPath}/labels`);
+    const ids = [];
+    for (const name of add) {
+      const label = labels.find((l) => l.name === name);
+      if (label) {
+        ids.push(label.id);
+      } else {
+        missing.push(name);
+      }
+    }
+    if (ids.length > 0) {
+      await gitea.post(`${repoPath}/issues/${prIndex}/labels`, { labels: ids });
+    }
+  }
+
+  if (remove.length > 0) {
+    // Only labels that are actually on the PR can be removed
+    const current = await gitea.get(`${repoPath}/issues/${prIndex}/labels`);
+    for (const name of remove) {
+      const label = (current || []).find((l) => l.name === name);
+      if (label) {
+        await gitea.delete(`${repoPath}/issues/${prIndex}/labels/${label.id}`);
+      }
+    }
+  }
+
+  if (missing.length > 0) {
+    throw new Error(`label(s) not found in the repository: ${missing.join(", ")}`);
+  }
+}
+
+async function requestReviewers(gitea, repoPath, prIndex, reviewers) {
+  await gitea.post(`${repoPath}/pulls/${prIndex}/requested_reviewers`, {
+    reviewers,
+  });
+}
+
+/**
+ * Update the PR title and/or description. Undefined fields are left as is.
+ */
+async function editPullRequest(gitea, repoPath, prIndex, { title, body }) {
+  const changes = {};
+  if (title !== undefined) {
+    changes.title = title;
+  }
+  if (body !== undefined) {
+    changes.body = body;
+  }
+  await gitea.patch(`${repoPath}/pulls/${prIndex}`, changes);
+}
+
+/**
+ * Set a commit status, e.g. { state: "success", context: "laforge/agent" }.
+ */
+async function setCommitStatus(gitea, repoPath, sha, status) {
+  await gitea.post(`${repoPath}/statuses/${sha}`, {
+    state: status.state,
+    context: status.context,
+    description: status.description || "",
+    target_url: status.target_url || "",
+  });
+}
+
+module.exports = {
+  unassignUser,
+  updateLabels,
+  requestReviewers,
+  editPullRequest,
+  setCommitStatus,
+};
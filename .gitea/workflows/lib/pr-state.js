@@ -0,0 +1,205 @@
+/**
+ * PR-scoped state store for Laforge
+ *
+ * Settings that must outlive a single run (such as the primary agent chosen
+ * with `/agent`) are kept outside the branch, so they never show up in the
+ * PR diff and survive the cleanup workflow removing `.pr/`. The state is a
+ * JSON object stored in a hidden marker inside a comment posted by the
+ * Laforge user:
+ *
+ *   <!-- laforge:state {"agent_config":{"primary_agent":"opus",...}} -->
+ *
+ * Only comments by the Laforge user are read (see lib/comment-markers.js).
+ *
+ * With LAFORGE_STATE_STORE=file the state is kept in the working tree
+ * instead, in `.pr/agent-config.json` where older versions kept the agent
+ * config.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { isMarkerComment, formatMarker, parseMarker } = require("./comment-markers");
+
+const STATE_MARKER = "laforge:state";
+
+const STATE_COMMENT_NOTE =
+  "_Laforge keeps its settings for this PR in this comment. Please don't edit or delete it._";
+
+const STATE_FILE_PATH = ".pr/agent-config.json";
+
+// Key of the agent config in the PR state, which older versions kept on its
+// own in the state file
+const AGENT_CONFIG_KEY = "agent_config";
+
+function isStateComment(comment, botLogin) {
+  return isMarkerComment(comment, STATE_MARKER, botLogin);
+}
+
+/**
+ * Read the state object out of a state comment body. Returns null if the
+ * body has no (valid) marker.
+ */
+function parseStateComment(body) {
+  const state = parseMarker(body, STATE_MARKER);
+  return state && typeof state === "object" && !Array.isArray(state) ? state : null;
+}
+
+function formatStateComment(state) {
+  return `${STATE_COMMENT_NOTE}\n\n${formatMarker(STATE_MARKER, state)}\n`;
+}
+
+/**
+ * Store state in a hidden marker in a comment owned by the Laforge user.
+ */
+function createCommentStateStore({ gitea, repoPath, prIndex, botLogin }) {
+  let state = {};
+  let commentId = null;
+  let loaded = false;
+  let dirty = false;
+
+  return {
+    name: "comment",
+
+    async load() {
+      const comments = await gitea.getAll(`${repoPath}/issues/${prIndex}/comments`);
+      const comment = comments.find((c) => isStateComment(c, botLogin));
+      if (comment) {
+        commentId = comment.id;
+        state = parseStateComment(comment.body) || {};
+        console.log(`Loaded PR state from comment ${commentId}`);
+      } else {
+        console.log("No PR state comment found");
+      }
+      loaded = true;
+    },
+
+    get(key) {
+      return Object.prototype.hasOwnProperty.call(state, key) ? state[key] : null;
+    },
+
+    set(key, value) {
+      state[key] = value;
+      dirty = true;
+    },
+
+    async save() {
+      if (!dirty) {
+        return;
+      }
+      // Without a successful load we can't tell whether a state comment
+      // already exists, and posting another one would fork the state
+      if (!loaded) {
+        throw new Error("PR state was not loaded; refusing to overwrite it");
+      }
+      const body = formatStateComment(state);
+      if (commentId) {
+        await gitea.patch(`${repoPath}/issues/comments/${commentId}`, { body });
+        console.log(`Updated PR state comment ${commentId}`);
+      } else {
+        const comment = await gitea.post(`${repoPath}/issues/${prIndex}/comments`, {
+          body,
+        });
+        commentId = comment.id;
+        console.log(`Created PR state comment ${commentId}`);
+      }
+      dirty = false;
+    },
+  };
+}
+
+// The state file holds the whole state object. Older versions kept only the
+// agent config in it, as the whole file.
+function readStateFileData(filePath) {
+  try {
+    if (fs.existsSync(filePath)) {
+      const data = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      if (data && typeof data === "object" && !Array.isArray(data)) {
+        return Object.prototype.hasOwnProperty.call(data, AGENT_CONFIG_KEY)
+          ? data
+          : { [AGENT_CONFIG_KEY]: data };
+      }
+    }
+  } catch (error) {
+    console.log(`Error reading ${filePath}: ${error.message}`);
+  }
+  return {};
+}
+
+/**
+ * Store the state in a single JSON file in the working tree
+ * (`.pr/agent-config.json`), so file mode adds only one file to the branch.
+ */
+function createFileStateStore(filePath = STATE_FILE_PATH) {
+  let state = null;
+  let dirty = false;
+
+  function ensureLoaded() {
+    if (state === null) {
+      state = readStateFileData(filePath);
+    }
+  }
+
+  return {
+    name: "file",
+
+    async load() {
+      ensureLoaded();
+    },
+
+    get(key) {
+      ensureLoaded();
+      return Object.prototype.hasOwnProperty.call(state, key) ? state[key] : null;
+    },
+
+    set(key, value) {
+      ensureLoaded();
+      state[key] = value;
+      dirty = true;
+    },
+
+    async save() {
+      if (!dirty) {
+        return;
+      }
+      // The agent config is always written, so the file can't be mistaken
+      // for one of the older agent-config-only files
+      const data = { [AGENT_CONFIG_KEY]: null, ...state };
+      fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+      console.log(`Updated ${filePath}`);
+      dirty = false;
+    },
+  };
+}
+
+// Read a key from the working tree, e.g. to migrate it into another store
+function readStateFile(key, filePath = STATE_FILE_PATH) {
+  const state = readStateFileData(filePath);
+  return Object.prototype.hasOwnProperty.call(state, key) ? state[key] : null;
+}
+
+/**
+ * Create the store selected by LAFORGE_STATE_STORE ("comment", the default,
+ * or "file").
+ */
+function createStateStoreFromEnv({ gitea, repoPath, prIndex, botLogin }) {
+  const kind = process.env.LAFORGE_STATE_STORE || "comment";
+  if (kind === "file") {
+    return createFileStateStore();
+  }
+  if (kind !== "comment") {
+    console.log(`ERROR: Unknown LAFORGE_STATE_STORE '${kind}', using comment`);
+  }
+  return createCommentStateStore({ gitea, repoPath, prIndex, botLogin });
+}
+
+module.exports = {
+  STATE_MARKER,
+  AGENT_CONFIG_KEY,
+  isStateComment,
+  parseStateComment,
+  formatStateComment,
+  createCommentStateStore,
+  createFileStateStore,
+  readStateFile,
+  createStateStoreFromEnv,
+};
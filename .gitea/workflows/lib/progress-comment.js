@@ -0,0 +1,276 @@
+/**
+ * Live progress comment, posted by the output formatters while the agent runs
+ *
+ * When enabled, the formatter posts an "in progress" comment on the PR as
+ * soon as the agent starts and edits it as events arrive: the current step
+ * (the agent's latest message), the most recent tool calls, the elapsed time
+ * and, with backends that report it per step (OpenCode), the cost so far.
+ * Claude Code only reports the cost when the session ends, so for Claude it
+ * first appears in the result summary that replaces the comment. Edits are
+ * throttled to one every LAFORGE_PROGRESS_INTERVAL seconds (default 15) so a
+ * busy agent doesn't flood the Gitea API.
+ *
+ * The formatter runs in the same container and as the same user as the
+ * agent, which can read the formatter's environment (e.g. through /proc).
+ * The comment is therefore posted with LAFORGE_PROGRESS_TOKEN, which must
+ * belong to a separate account that can do no more than comment on PRs,
+ * never with LAFORGE_TOKEN or GITEA_TOKEN. Also used:
+ * - GITEA_API_URL, GITEA_REPO_OWNER, GITEA_REPO_NAME, PR_INDEX
+ * - LAFORGE_PROGRESS_USER: login of the account LAFORGE_PROGRESS_TOKEN
+ *   belongs to (default LAFORGE_USER, or "laforge")
+ * - GITHUB_RUN_ID: identifies the comment of this workflow run, so that a
+ *   second agent session in the same job (e.g. for the commit message)
+ *   edits the same comment
+ * - RUN_URL: link to the workflow run
+ */
+
+const { createGiteaClient, getRepoContext } = require("./gitea-api");
+const { isMarkerComment, formatMarker, parseMarker } = require("./comment-markers");
+
+const PROGRESS_MARKER = "laforge:progress";
+
+const DEFAULT_INTERVAL_SECONDS = 15;
+const MAX_RECENT_TOOLS = 5;
+const MAX_STEP_LENGTH = 200;
+
+// Login of the account that posts the progress comments
+function progressLogin(env = process.env) {
+  return env.LAFORGE_PROGRESS_USER || env.LAFORGE_USER || "laforge";
+}
+
+function isProgressComment(comment, login) {
+  return isMarkerComment(comment, PROGRESS_MARKER, login);
+}
+
+function formatElapsed(ms) {
+  const seconds = Math.round(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+// First non-empty line of the agent's message, shortened
+function summarizeStep(text) {
+  const line = text.split("\n").find((l) => l.trim()) || "";
+  const trimmed = line.trim();
+  return trimmed.length > MAX_STEP_LENGTH ? trimmed.substring(0, MAX_STEP_LENGTH - 3) + "..." : trimmed;
+}
+
+const TOOL_STATUS_ICONS = { running: "⏳", ok: "✅", error: "❌" };
+
+/**
+ * Render the progress comment body.
+ */
+function formatProgressComment(progress, now = Date.now()) {
+  const agent = progress.model ? `${progress.backendName}, \`${progress.model}\`` : progress.backendName;
+  const lines = [];
+
+  if (progress.result) {
+    const icon = progress.result.failed ? "❌" : "✅";
+    lines.push(`${icon} **Laforge finished** (${agent})`, "", progress.result.summary);
+  } else {
+    lines.push(`⏳ **Laforge is working on this PR** (${agent})`, "");
+    if (progress.step) {
+      lines.push(`**Current step:** ${progress.step}`);
+    }
+    const stats = [`**Elapsed:** ${formatElapsed(now - progress.startedAt)}`];
+    if (progress.costUsd > 0) {
+      stats.push(`**Cost so far:** $${progress.costUsd.toFixed(4)}`);
+    }
+    if (progress.inputTokens + progress.outputTokens > 0) {
+      stats.push(`**Tokens:** ${progress.inputTokens} in / ${progress.outputTokens} out`);
+    }
+    lines.push(stats.join(" · "));
+
+    if (progress.tools.length > 0) {
+      lines.push("", "**Recent tool calls:**");
+      for (const tool of progress.tools) {
+        lines.push(`- ${TOOL_STATUS_ICONS[tool.status]} \`${tool.label.replace(/`/g, "'")}\``);
+      }
+    }
+  }
+
+  if (progress.runUrl) {
+    lines.push("", `[Workflow run](${progress.runUrl})`);
+  }
+  lines.push("", formatMarker(PROGRESS_MARKER, { run: progress.runId }));
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Keep the progress comment of this run up to date.
+ *
+ * All methods only change the in-memory progress and schedule an edit;
+ * flush() waits for the final edit. API errors are logged and never stop
+ * the formatter.
+ */
+function createProgressReporter({
+  gitea,
+  repoPath,
+  prIndex,
+  botLogin,
+  backendName,
+  runId = null,
+  runUrl = null,
+  intervalMs = DEFAULT_INTERVAL_SECONDS * 1000,
+}) {
+  const progress = {
+    backendName,
+    model: null,
+    runId,
+    runUrl,
+    startedAt: Date.now(),
+    step: null,
+    tools: [],
+    costUsd: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    result: null,
+  };
+  const toolsById = {};
+
+  let commentId = null;
+  let lastBody = null;
+  let lastUpdate = 0;
+  let timer = null;
+  // Edits are chained so they reach Gitea in order
+  let pending = Promise.resolve();
+
+  async function findComment() {
+    const comments = await gitea.getAll(`${repoPath}/issues/${prIndex}/comments`);
+    const comment = comments.find((c) => {
+      if (!isProgressComment(c, botLogin)) {
+        return false;
+      }
+      const data = parseMarker(c.body, PROGRESS_MARKER);
+      return !!runId && !!data && data.run === runId;
+    });
+    return comment ? comment.id : null;
+  }
+
+  async function update() {
+    const body = formatProgressComment(progress);
+    if (body === lastBody) {
+      return;
+    }
+    try {
+      if (commentId === null) {
+        commentId = await findComment();
+      }
+      if (commentId !== null) {
+        await gitea.patch(`${repoPath}/issues/comments/${commentId}`, { body });
+      } else {
+        const comment = await gitea.post(`${repoPath}/issues/${prIndex}/comments`, { body });
+        commentId = comment.id;
+      }
+      lastBody = body;
+    } catch (error) {
+      console.error(`Could not update the progress comment: ${error.message}`);
+    }
+  }
+
+  function enqueueUpdate() {
+    lastUpdate = Date.now();
+    pending = pending.then(update);
+  }
+
+  // Edit now, or at the end of the current interval
+  function schedule() {
+    if (timer) {
+      return;
+    }
+    const wait = lastUpdate + intervalMs - Date.now();
+    if (wait <= 0) {
+      enqueueUpdate();
+      return;
+    }
+    timer = setTimeout(() => {
+      timer = null;
+      enqueueUpdate();
+    }, wait);
+    timer.unref();
+  }
+
+  return {
+    start({ model }) {
+      progress.model = model || progress.model;
+      schedule();
+    },
+
+    step(text) {
+      const step = summarizeStep(text || "");
+      if (step) {
+        progress.step = step;
+        schedule();
+      }
+    },
+
+    toolCall(id, label) {
+      const tool = { label, status: "running" };
+      toolsById[id] = tool;
+      progress.tools = [...progress.tools, tool].slice(-MAX_RECENT_TOOLS);
+      schedule();
+    },
+
+    toolResult(id, isError) {
+      if (toolsById[id]) {
+        toolsById[id].status = isError ? "error" : "ok";
+        schedule();
+      }
+    },
+
+    usage({ costUsd = 0, inputTokens = 0, outputTokens = 0 }) {
+      progress.costUsd += costUsd;
+      progress.inputTokens += inputTokens;
+      progress.outputTokens += outputTokens;
+      schedule();
+    },
+
+    finish(summary, failed) {
+      progress.result = { summary, failed };
+    },
+
+    // Make the final edit, whether or not the interval has passed
+    async flush() {
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      if (!progress.result) {
+        progress.result = { summary: "❌ The agent stopped without reporting a result", failed: true };
+      }
+      enqueueUpdate();
+      await pending;
+    },
+  };
+}
+
+/**
+ * Create a progress reporter from the environment, or return null when
+ * LAFORGE_PROGRESS_TOKEN isn't set.
+ */
+function createProgressReporterFromEnv({ backendName, env = process.env }) {
+  if (!env.LAFORGE_PROGRESS_TOKEN || !env.GITEA_API_URL || !env.PR_INDEX) {
+    return null;
+  }
+  const { repoPath, prIndex } = getRepoContext();
+  const intervalSeconds = parseInt(env.LAFORGE_PROGRESS_INTERVAL, 10);
+  return createProgressReporter({
+    gitea: createGiteaClient({ baseUrl: env.GITEA_API_URL, token: env.LAFORGE_PROGRESS_TOKEN }),
+    repoPath,
+    prIndex,
+    botLogin: progressLogin(env),
+    backendName,
+    runId: env.GITHUB_RUN_ID || null,
+    runUrl: env.RUN_URL || null,
+    intervalMs: (intervalSeconds >= 0 ? intervalSeconds : DEFAULT_INTERVAL_SECONDS) * 1000,
+  });
+}
+
+module.exports = {
+  PROGRESS_MARKER,
+  progressLogin,
+  isProgressComment,
+  formatProgressComment,
+  createProgressReporter,
+  createProgressReporterFromEnv,
+};
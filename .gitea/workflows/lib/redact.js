@@ -0,0 +1,284 @@
+/**
+ * Redaction of secrets and credentials
+ *
+ * Applied to everything Laforge copies out of the repository or the agent's
+ * environment into places other people can read: .pr/history.md (fetch-pr.js),
+ * the job log and transcript (the output formatters, via lib/agent-output.js)
+ * and the comments and reviews posted from .pr/status.yaml (post-status.js).
+ *
+ * Three kinds of secrets are masked:
+ * - values of known secret environment variables (GITEA_TOKEN, LAFORGE_TOKEN,
+ *   API keys, ...) and of any variable whose name looks like a secret
+ *   (*_TOKEN, *_SECRET, *_PASSWORD, *_API_KEY, ...)
+ * - common token formats: private key blocks, bearer and Authorization
+ *   headers, passwords in URLs, provider API keys (Anthropic, OpenAI,
+ *   GitHub, AWS, Slack, Google) and `.env` style assignments such as
+ *   `DB_PASSWORD=...`
+ * - custom patterns from `.laforge/redaction.yaml`:
+ *
+ *   patterns:
+ *     - "corp-[0-9a-f]{32}"            # regular expression
+ *     - name: internal-host            # shown in the placeholder
+ *       pattern: "db\\.internal\\.example\\.com"
+ *   env:                               # more variables holding secrets
+ *     - DEPLOY_KEY
+ *
+ * Each secret is replaced by `[REDACTED:<name>]`, naming the variable or
+ * pattern that matched. If the config file is invalid, the problems are
+ * listed in the job log and only the built-in rules apply.
+ *
+ * Passwords in URLs and `.env` style assignments are guesses, and in source
+ * code they mostly match things that aren't secrets (`API_KEY =
+ * process.env.API_KEY`). They are skipped in code: in text redacted with
+ * `{ code: true }` (the PR diff, file excerpts) and in ```diff blocks inside
+ * other text (the diff and review snippets in history.md). Right-hand sides
+ * that are placeholders (`${TOKEN}`), constants, member expressions or calls
+ * are never treated as secrets.
+ */
+
+const fs = require("fs");
+const yaml = require("js-yaml");
+const { validate } = require("./schema");
+
+const REDACTION_CONFIG_PATH =
+  process.env.LAFORGE_REDACTION_CONFIG || ".laforge/redaction.yaml";
+
+// Always treated as secrets, whatever their name suggests
+const KNOWN_SECRET_ENV = [
+  "GITEA_TOKEN",
+  "GITHUB_TOKEN",
+  "LAFORGE_TOKEN",
+  "LAFORGE_PROGRESS_TOKEN",
+  "ANTHROPIC_API_KEY",
+  "ANTHROPIC_AUTH_TOKEN",
+  "CLAUDE_CODE_OAUTH_TOKEN",
+  "OPENAI_API_KEY",
+];
+
+const SECRET_ENV_NAME_REGEX =
+  /(^|_)(TOKEN|SECRET|PASSWORD|PASSWD|API_?KEY|PRIVATE_KEY|ACCESS_KEY|CREDENTIALS?)(_|$)/i;
+
+// Shorter values (flags, "true", port numbers) would mask ordinary text
+const MIN_SECRET_LENGTH = 8;
+
+// Built-in patterns. With a `secret` group, only that group is masked and
+// the rest of the match (e.g. the header name) is kept.
+const BUILTIN_PATTERNS = [
+  {
+    name: "private-key",
+    // Unterminated blocks (e.g. truncated output) are masked to the end
+    regex: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g,
+  },
+  {
+    name: "authorization",
+    regex: /\b(?:Authorization|Proxy-Authorization)\s*:\s*(?:Bearer|token|Basic)\s+(?<secret>[A-Za-z0-9\-._~+/]+=*)/gi,
+  },
+  { name: "bearer-token", regex: /\bBearer\s+(?<secret>[A-Za-z0-9\-._~+/]{16,}=*)/g },
+  {
+    name: "url-password",
+    heuristic: true,
+    // Not placeholders such as ${TOKEN}, $TOKEN, %s or {{password}}
+    regex: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/]+:(?<secret>(?![$%{])[^\s@/]+)@/gi,
+  },
+  { name: "anthropic-key", regex: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+  { name: "openai-key", regex: /\bsk-(?:proj-)?[A-Za-z0-9_-]{20,}/g },
+  { name: "github-token", regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})/g },
+  { name: "aws-access-key", regex: /\b(?:AKIA|ASIA)[A-Z0-9]{16}\b/g },
+  { name: "slack-token", regex: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { name: "google-api-key", regex: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  {
+    name: "secret-assignment",
+    heuristic: true,
+    // Upper-case names only, as in .env files and shell exports, so that
+    // e.g. `max_tokens: 4096` is left alone. Unless it is quoted, the value
+    // must not be a CONSTANT_NAME, a member expression, a call or a variable
+    // ending a statement.
+    regex: new RegExp(
+      "\\b[A-Z0-9_]*(?:TOKEN|SECRET|PASSWORD|PASSWD|API_?KEY|PRIVATE_KEY|ACCESS_KEY)[A-Z0-9_]*" +
+        "\\s*[=:]\\s*[\"']?" +
+        "(?<secret>" +
+        "(?![$%{])" +
+        "(?:(?<=[\"'])|" +
+        "(?![A-Z][A-Z0-9]*(?:_[A-Z0-9]+)+\\b)" +
+        "(?!(?:[A-Za-z_$][\\w$]*\\.)+[A-Za-z_$])" +
+        "(?![A-Za-z_$][\\w$]*\\s*[(;,)\\]]))" +
+        "[^\\s\"'#;,]{8,})",
+      "g",
+    ),
+  },
+];
+
+const PATTERN_SCHEMA = {
+  anyOf: [
+    { type: "string", minLength: 1 },
+    {
+      type: "object",
+      additionalProperties: false,
+      required: ["pattern"],
+      properties: {
+        name: { type: "string", minLength: 1 },
+        pattern: { type: "string", minLength: 1 },
+      },
+    },
+  ],
+};
+
+const REDACTION_CONFIG_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    patterns: { type: "array", items: PATTERN_SCHEMA },
+    env: { type: "array", items: { type: "string", minLength: 1 } },
+  },
+};
+
+/**
+ * Load the custom redaction rules. Without a (valid) config file there are
+ * none.
+ *
+ * @returns {{source: string, patterns: object[], env: string[], errors: string[]}}
+ */
+function loadRedactionConfig(configPath = REDACTION_CONFIG_PATH) {
+  const none = { source: "none", patterns: [], env: [] };
+  if (!fs.existsSync(configPath)) {
+    return { ...none, errors: [] };
+  }
+
+  let config;
+  let errors;
+  try {
+    config = yaml.load(fs.readFileSync(configPath, "utf8")) || {};
+    errors = validate(config, REDACTION_CONFIG_SCHEMA);
+  } catch (error) {
+    errors = [`could not parse YAML: ${error.message}`];
+  }
+
+  const patterns = [];
+  if (errors.length === 0) {
+    (config.patterns || []).forEach((entry, i) => {
+      const { name, pattern } = typeof entry === "string" ? { pattern: entry } : entry;
+      try {
+        patterns.push({ name: name || `pattern-${i + 1}`, regex: new RegExp(pattern, "g") });
+      } catch (error) {
+        errors.push(`patterns[${i}]: invalid regular expression: ${error.message}`);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    console.log(`ERROR: Invalid redaction config in ${configPath}:`);
+    for (const error of errors) {
+      console.log(`ERROR:   ${error}`);
+    }
+    console.log("Only the built-in redaction rules will be applied");
+    return { ...none, errors };
+  }
+
+  return { source: configPath, patterns, env: config.env || [], errors: [] };
+}
+
+// Secret values from the environment, longest first so that a secret
+// containing another one is masked as a whole
+function secretEnvValues(env, extraNames) {
+  const names = new Set([...KNOWN_SECRET_ENV, ...extraNames]);
+  for (const name of Object.keys(env)) {
+    if (SECRET_ENV_NAME_REGEX.test(name)) {
+      names.add(name);
+    }
+  }
+  return [...names]
+    .filter((name) => typeof env[name] === "string" && env[name].trim().length >= MIN_SECRET_LENGTH)
+    .map((name) => ({ name, value: env[name].trim() }))
+    .sort((a, b) => b.value.length - a.value.length);
+}
+
+/**
+ * Create a redactor. It counts the secrets it has masked, so callers can
+ * report how many were found.
+ *
+ * @param {object} [options]
+ * @param {object} [options.env] - Environment to take secret values from
+ * @param {object} [options.config] - From loadRedactionConfig()
+ */
+function createRedactor({ env = process.env, config = loadRedactionConfig() } = {}) {
+  const envSecrets = secretEnvValues(env, config.env);
+  const patterns = [...BUILTIN_PATTERNS, ...config.patterns];
+  const exactPatterns = patterns.filter((p) => !p.heuristic);
+  let count = 0;
+
+  function applyPatterns(text, rules) {
+    let result = text;
+    for (const { name, regex } of rules) {
+      result = result.replace(regex, (match, ...args) => {
+        const groups = args[args.length - 1];
+        const secret = groups && typeof groups === "object" ? groups.secret : undefined;
+        // Already masked by an earlier rule
+        if (/^\[REDACTED:[^\]]*\]$/.test(secret || match)) {
+          return match;
+        }
+        count++;
+        if (secret) {
+          const offset = match.lastIndexOf(secret);
+          return match.substring(0, offset) + `[REDACTED:${name}]` + match.substring(offset + secret.length);
+        }
+        return `[REDACTED:${name}]`;
+      });
+    }
+    return result;
+  }
+
+  /**
+   * @param {string} text
+   * @param {object} [options]
+   * @param {boolean} [options.code] - The text is source code or a diff, so
+   *   only exact secrets and token formats are masked
+   */
+  function redact(text, { code = false } = {}) {
+    if (typeof text !== "string" || text === "") {
+      return text;
+    }
+    let result = text;
+    for (const { name, value } of envSecrets) {
+      const parts = result.split(value);
+      count += parts.length - 1;
+      result = parts.join(`[REDACTED:${name}]`);
+    }
+    if (code) {
+      return applyPatterns(result, exactPatterns);
+    }
+    // Odd parts are ```diff blocks
+    return result
+      .split(/(^```diff\n[\s\S]*?^```$)/m)
+      .map((part, i) => applyPatterns(part, i % 2 === 1 ? exactPatterns : patterns))
+      .join("");
+  }
+
+  // Redact every string in a JSON-like value, e.g. tool call input
+  function redactValue(value) {
+    if (typeof value === "string") {
+      return redact(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(redactValue);
+    }
+    if (value && typeof value === "object") {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactValue(v)]));
+    }
+    return value;
+  }
+
+  return {
+    redact,
+    redactValue,
+
+    // Number of secrets masked so far
+    count() {
+      return count;
+    },
+  };
+}
+
+module.exports = {
+  loadRedactionConfig,
+  createRedactor,
+};
@@ -0,0 +1,161 @@
+/**
+ * Machine-readable report of an agent run, written to .pr/run-report.json by
+ * the output formatter:
+ *
+ *   {
+ *     "model": "claude-sonnet-4-5-20250929",
+ *     "session_id": "...",
+ *     "num_turns": 12,
+ *     "duration_ms": 184000,
+ *     "total_cost_usd": 0.4213,
+ *     "input_tokens": 812000,
+ *     "output_tokens": 15300,
+ *     "is_error": false,
+ *     "tool_calls": { "Read": 7, "Edit": 3, "Bash": 2 },
+ *     "errors": [{ "tool": "Bash", "message": "..." }],
+ *     "files_touched": ["src/app.js"],
+ *     "sessions": [{ "session_id": "...", "model": "...", "num_turns": 10, ... }]
+ *   }
+ *
+ * claude.sh may run the agent more than once per job (e.g. to write the
+ * commit message), so an existing report is extended: every session is
+ * listed in `sessions`, and the top-level numbers are totals over all of
+ * them. `model` and `session_id` are those of the first session.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const RUN_REPORT_PATH = ".pr/run-report.json";
+
+// Tools that modify files, and the input field holding the path
+const FILE_EDIT_TOOLS = {
+  Edit: "file_path",
+  MultiEdit: "file_path",
+  Write: "file_path",
+  NotebookEdit: "notebook_path",
+};
+
+const MAX_ERRORS = 50;
+const MAX_ERROR_LENGTH = 500;
+
+function emptyReport() {
+  return {
+    model: null,
+    session_id: null,
+    num_turns: 0,
+    duration_ms: 0,
+    total_cost_usd: null,
+    input_tokens: 0,
+    output_tokens: 0,
+    is_error: false,
+    tool_calls: {},
+    errors: [],
+    files_touched: [],
+    sessions: [],
+  };
+}
+
+function readRunReport(reportPath = RUN_REPORT_PATH) {
+  try {
+    if (fs.existsSync(reportPath)) {
+      return { ...emptyReport(), ...JSON.parse(fs.readFileSync(reportPath, "utf8")) };
+    }
+  } catch (error) {
+    console.error(`Could not read ${reportPath}: ${error.message}`);
+  }
+  return null;
+}
+
+/**
+ * Collect the report for one formatter run, on top of the existing report.
+ */
+function createRunRecorder(reportPath = RUN_REPORT_PATH) {
+  const report = readRunReport(reportPath) || emptyReport();
+  let session = null;
+  let cwd = process.cwd();
+
+  function currentSession() {
+    if (!session) {
+      session = { session_id: null, model: null };
+      report.sessions.push(session);
+    }
+    return session;
+  }
+
+  return {
+    report,
+
+    startSession({ sessionId, model, cwd: sessionCwd }) {
+      session = null;
+      Object.assign(currentSession(), { session_id: sessionId || null, model: model || null });
+      report.model = report.model || model || null;
+      report.session_id = report.session_id || sessionId || null;
+      cwd = sessionCwd || cwd;
+    },
+
+    recordToolUse(name, input) {
+      report.tool_calls[name] = (report.tool_calls[name] || 0) + 1;
+      const field = FILE_EDIT_TOOLS[name];
+      const filePath = field && input ? input[field] : null;
+      if (typeof filePath === "string" && filePath) {
+        const relative = path.isAbsolute(filePath) ? path.relative(cwd, filePath) : filePath;
+        const shown = relative.startsWith("..") ? filePath : relative;
+        if (!report.files_touched.includes(shown)) {
+          report.files_touched.push(shown);
+        }
+      }
+    },
+
+    // Input tokens include cache reads and writes
+    recordUsage({ inputTokens = 0, outputTokens = 0 }) {
+      report.input_tokens += inputTokens;
+      report.output_tokens += outputTokens;
+      const current = currentSession();
+      current.input_tokens = (current.input_tokens || 0) + inputTokens;
+      current.output_tokens = (current.output_tokens || 0) + outputTokens;
+    },
+
+    recordError(tool, message) {
+      if (report.errors.length >= MAX_ERRORS) {
+        return;
+      }
+      const text = String(message || "");
+      report.errors.push({
+        tool: tool || null,
+        message:
+          text.length > MAX_ERROR_LENGTH ? text.substring(0, MAX_ERROR_LENGTH) + "..." : text,
+      });
+    },
+
+    finishSession({ numTurns, durationMs, costUsd, isError, subtype }) {
+      Object.assign(currentSession(), {
+        num_turns: numTurns || 0,
+        duration_ms: durationMs || 0,
+        total_cost_usd: typeof costUsd === "number" ? costUsd : null,
+        is_error: !!isError,
+        subtype: subtype || null,
+      });
+      report.num_turns += numTurns || 0;
+      report.duration_ms += durationMs || 0;
+      if (typeof costUsd === "number") {
+        report.total_cost_usd = (report.total_cost_usd || 0) + costUsd;
+      }
+      report.is_error = report.is_error || !!isError;
+    },
+
+    write() {
+      try {
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2) + "\n");
+      } catch (error) {
+        console.error(`Could not write ${reportPath}: ${error.message}`);
+      }
+    },
+  };
+}
+
+module.exports = {
+  RUN_REPORT_PATH,
+  readRunReport,
+  createRunRecorder,
+};
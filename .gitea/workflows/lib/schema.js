@@ -0,0 +1,144 @@
+/**
+ * Minimal schema validator for the YAML/JSON files read by the workflow
+ * scripts (agent registry, status.yaml, ...)
+ *
+ * Supports a small JSON Schema subset: type, enum, required, properties,
+ * additionalProperties, items, minItems, minLength, minimum, pattern and
+ * anyOf. validate() returns every problem found, each prefixed with the path
+ * of the offending value (e.g. "file_comments[2].line: must be an integer").
+ */
+
+function typeOf(value) {
+  if (value === null) {
+    return "null";
+  }
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  if (typeof value === "number" && Number.isInteger(value)) {
+    return "integer";
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") {
+    return actual === "number" || actual === "integer";
+  }
+  return actual === type;
+}
+
+function describeTypes(types) {
+  return types.length === 1 ? types[0] : `${types.slice(0, -1).join(", ")} or ${types[types.length - 1]}`;
+}
+
+function joinPath(base, key) {
+  if (typeof key === "number") {
+    return `${base}[${key}]`;
+  }
+  return base ? `${base}.${key}` : key;
+}
+
+/**
+ * Validate `value` against `schema`.
+ *
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} [path] - Path of `value`, used as the error prefix
+ * @returns {string[]} Error messages; empty when valid
+ */
+function validate(value, schema, path = "") {
+  const errors = [];
+  const where = path || "(root)";
+
+  if (schema.anyOf) {
+    const branchErrors = schema.anyOf.map((s) => validate(value, s, path));
+    if (branchErrors.every((e) => e.length > 0)) {
+      // Report the branch that got furthest (fewest errors), preferring
+      // branches of the value's type over a bare type mismatch
+      const typeOk = (s) =>
+        !s.type || [].concat(s.type).some((t) => matchesType(value, t));
+      const candidates = branchErrors.filter((e, i) => typeOk(schema.anyOf[i]));
+      if (candidates.length === 0) {
+        const types = schema.anyOf.flatMap((s) => [].concat(s.type || []));
+        errors.push(`${where}: must be ${describeTypes(types)} (got ${typeOf(value)})`);
+        return errors;
+      }
+      candidates.sort((a, b) => a.length - b.length);
+      errors.push(...candidates[0]);
+    }
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      errors.push(`${where}: must be ${describeTypes(types)} (got ${typeOf(value)})`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where}: must be one of ${schema.enum.join(", ")} (got ${JSON.stringify(value)})`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(
+        schema.minLength === 1
+          ? `${where}: must not be empty`
+          : `${where}: must be at least ${schema.minLength} characters`,
+      );
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${where}: must match ${schema.pattern} (got ${JSON.stringify(value)})`);
+    }
+  }
+
+  if (typeof value === "number" && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${where}: must be at least ${schema.minimum} (got ${value})`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${where}: must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        errors.push(...validate(item, schema.items, joinPath(path, i)));
+      });
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push(`${joinPath(path, key)}: is required`);
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        if (child !== undefined && child !== null) {
+          errors.push(...validate(child, properties[key], joinPath(path, key)));
+        }
+      } else if (schema.additionalProperties === false) {
+        const known = Object.keys(properties);
+        errors.push(
+          `${joinPath(path, key)}: unknown field` +
+            (known.length > 0 ? ` (expected one of ${known.join(", ")})` : ""),
+        );
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(...validate(child, schema.additionalProperties, joinPath(path, key)));
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validate,
+};
@@ -0,0 +1,92 @@
+/**
+ * Sticky status comment for post-status.js
+ *
+ * With LAFORGE_STATUS_MODE=sticky, Laforge keeps a single "Laforge status"
+ * comment on the PR and edits it on every run instead of posting a new one.
+ * The latest status is shown in full, earlier ones as short summaries in a
+ * collapsed "Previous statuses" section. The comment's hidden marker keeps
+ * the date, head commit and summary of each status, so the comment can be
+ * rebuilt on the next run without parsing its Markdown (the full text isn't
+ * stored twice).
+ */
+
+const { isMarkerComment, formatMarker, parseMarker } = require("./comment-markers");
+
+const STATUS_MARKER = "laforge:status";
+
+// Statuses kept in the history; older ones are dropped
+const MAX_STATUS_HISTORY = 10;
+
+// Length of the summaries shown for previous statuses
+const MAX_SUMMARY_LENGTH = 300;
+
+function isStatusComment(comment, botLogin) {
+  return isMarkerComment(comment, STATUS_MARKER, botLogin);
+}
+
+// One line of plain text, without code blocks, so that a cut never leaves
+// a block open
+function summarizeStatus(text) {
+  const summary = text
+    .replace(/```[\s\S]*?(?:```|$)/g, " ")
+    .replace(/^#{1,6}\s+/gm, "")
+    .replace(/\s+/g, " ")
+    .trim();
+  return summary.length > MAX_SUMMARY_LENGTH
+    ? summary.substring(0, MAX_SUMMARY_LENGTH - 1).trimEnd() + "…"
+    : summary;
+}
+
+/**
+ * Read the status entries (newest first) out of a sticky status comment.
+ * Each entry is { summary, sha, date }.
+ */
+function parseStatusComment(body) {
+  const data = parseMarker(body, STATUS_MARKER);
+  if (!data || !Array.isArray(data.entries)) {
+    return [];
+  }
+  // Comments from older versions kept the full text
+  return data.entries.map(({ text, summary, sha, date }) => ({
+    summary: summary !== undefined ? summary : summarizeStatus(text || ""),
+    sha,
+    date,
+  }));
+}
+
+function formatEntryHeading(entry) {
+  const date = entry.date.replace("T", " ").replace(/:\d\d(\.\d+)?Z$/, " UTC");
+  return entry.sha ? `${date} · \`${entry.sha.substring(0, 7)}\`` : date;
+}
+
+/**
+ * Render the sticky status comment for `entries` (newest first). The first
+ * entry is the new status, { text, sha, date }; the others come from
+ * parseStatusComment().
+ */
+function formatStatusComment(entries) {
+  const kept = entries.slice(0, MAX_STATUS_HISTORY + 1);
+  const [current, ...previous] = kept;
+
+  let text = `**Laforge status** (updated ${formatEntryHeading(current)})\n\n`;
+  text += `${current.text.trim()}\n`;
+
+  if (previous.length > 0) {
+    text += `\n<details>\n<summary>Previous statuses (${previous.length})</summary>\n\n`;
+    for (const entry of previous) {
+      text += `#### ${formatEntryHeading(entry)}\n\n${entry.summary}\n\n`;
+    }
+    text += `</details>\n`;
+  }
+
+  const stored = [{ summary: summarizeStatus(current.text), sha: current.sha, date: current.date }, ...previous];
+  text += `\n${formatMarker(STATUS_MARKER, { entries: stored })}\n`;
+  return text;
+}
+
+module.exports = {
+  STATUS_MARKER,
+  isStatusComment,
+  parseStatusComment,
+  formatStatusComment,
+};
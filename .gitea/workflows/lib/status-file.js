@@ -0,0 +1,188 @@
+/**
+ * Schema and loader for .pr/status.yaml, the file the agent writes to report
+ * back on the PR (see post-status.js):
+ *
+ *   status: |
+ *     Implemented the login form. Which auth provider should we use?
+ *   file_comments:
+ *     - file: src/login.ts
+ *       line: 23
+ *       comment: Should this endpoint require admin authentication?
+ *     - file: src/session.ts
+ *       line: 40
+ *       end_line: 52              # optional: comment on lines 40-52
+ *       side: old                 # optional: line numbers of the old file
+ *       comment: Why was this removed?
+ *   review:
+ *     event: REQUEST_CHANGES    # COMMENT (default), APPROVE or REQUEST_CHANGES
+ *     body: Two issues need fixing before merge.
+ *   labels:                     # or just a list of labels to add
+ *     add: [needs-discussion]
+ *     remove: [in-progress]
+ *   reviewers: [alice]          # request reviews from these users
+ *   title: "Add login form"     # replace the PR title
+ *   description: |              # replace the PR description
+ *     ...
+ *   commit_status:              # status on the PR head commit
+ *     state: success            # pending, success, error, failure or warning
+ *     context: laforge/agent    # default
+ *     description: Ready for review
+ *   needs_input: true           # status asks the humans something
+ *   unassign: true              # remove laforge (only) from the assignees
+ *
+ * Every field is optional, but unknown fields and wrongly typed values are
+ * errors, so a typo can't silently drop part of the agent's report.
+ */
+
+const fs = require("fs");
+const yaml = require("js-yaml");
+const { validate } = require("./schema");
+
+const STATUS_FILE_PATH = ".pr/status.yaml";
+
+const REVIEW_EVENTS = ["COMMENT", "APPROVE", "REQUEST_CHANGES"];
+const COMMIT_STATES = ["pending", "success", "error", "failure", "warning"];
+
+const DEFAULT_STATUS_CONTEXT = "laforge/agent";
+
+const NAME_LIST_SCHEMA = { type: "array", items: { type: "string", minLength: 1 } };
+
+const FILE_COMMENT_SCHEMA = {
+  type: "object",
+  required: ["file", "line", "comment"],
+  additionalProperties: false,
+  properties: {
+    file: { type: "string", minLength: 1 },
+    line: { type: "integer", minimum: 1 },
+    end_line: { type: "integer", minimum: 1 },
+    side: { type: "string", enum: ["new", "old"] },
+    comment: { type: "string", minLength: 1 },
+  },
+};
+
+const STATUS_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    status: { type: "string" },
+    file_comments: { type: "array", items: FILE_COMMENT_SCHEMA },
+    review: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        event: { type: "string", enum: REVIEW_EVENTS },
+        body: { type: "string" },
+      },
+    },
+    labels: {
+      anyOf: [
+        NAME_LIST_SCHEMA,
+        {
+          type: "object",
+          additionalProperties: false,
+          properties: { add: NAME_LIST_SCHEMA, remove: NAME_LIST_SCHEMA },
+        },
+      ],
+    },
+    reviewers: NAME_LIST_SCHEMA,
+    title: { type: "string", minLength: 1 },
+    description: { type: "string" },
+    commit_status: {
+      type: "object",
+      required: ["state"],
+      additionalProperties: false,
+      properties: {
+        state: { type: "string", enum: COMMIT_STATES },
+        context: { type: "string", minLength: 1 },
+        description: { type: "string" },
+        target_url: { type: "string" },
+      },
+    },
+    needs_input: { type: "boolean" },
+    unassign: { type: "boolean" },
+  },
+};
+
+/**
+ * Read and validate the status file.
+ *
+ * @returns {{found: boolean, status: object|null, errors: string[]}} `status`
+ *   has every optional field filled in; it is null when the file is missing
+ *   or invalid
+ */
+function loadStatusFile(filePath = STATUS_FILE_PATH) {
+  if (!fs.existsSync(filePath)) {
+    return { found: false, status: null, errors: [] };
+  }
+
+  let data;
+  try {
+    data = yaml.load(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    const where = error.mark ? ` at line ${error.mark.line + 1}` : "";
+    return {
+      found: true,
+      status: null,
+      errors: [`could not parse YAML${where}: ${error.reason || error.message}`],
+    };
+  }
+
+  const errors = validate(data === undefined ? null : data, STATUS_SCHEMA);
+  if (errors.length === 0) {
+    (data.file_comments || []).forEach((fc, i) => {
+      if (fc.end_line !== undefined && fc.end_line < fc.line) {
+        errors.push(`file_comments[${i}].end_line: must not be before line ${fc.line}`);
+      }
+    });
+  }
+  if (errors.length > 0) {
+    return { found: true, status: null, errors };
+  }
+
+  return {
+    found: true,
+    status: {
+      status: data.status || "",
+      file_comments: (data.file_comments || []).map((fc) => ({
+        ...fc,
+        end_line: fc.end_line || fc.line,
+        side: fc.side || "new",
+      })),
+      review: data.review || null,
+      labels: Array.isArray(data.labels)
+        ? { add: data.labels, remove: [] }
+        : { add: [], remove: [], ...data.labels },
+      reviewers: data.reviewers || [],
+      title: data.title,
+      description: data.description,
+      commit_status: data.commit_status
+        ? { context: DEFAULT_STATUS_CONTEXT, ...data.commit_status }
+        : null,
+      needs_input: data.needs_input === true,
+      unassign: data.unassign === true,
+    },
+    errors: [],
+  };
+}
+
+/**
+ * Markdown summary of status file errors, posted on the PR so the problem is
+ * visible without digging through the job log.
+ */
+function formatStatusErrors(errors, filePath = STATUS_FILE_PATH) {
+  let text = `⚠️ **Laforge could not post its status:** \`${filePath}\` is invalid.\n\n`;
+  for (const error of errors) {
+    text += `- ${error}\n`;
+  }
+  text += `\nSee the workflow log for details.\n`;
+  return text;
+}
+
+module.exports = {
+  STATUS_FILE_PATH,
+  REVIEW_EVENTS,
+  COMMIT_STATES,
+  STATUS_SCHEMA,
+  loadStatusFile,
+  formatStatusErrors,
+};
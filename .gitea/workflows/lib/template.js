@@ -0,0 +1,134 @@
+/**
+ * Template variables for the text fields of .pr/status.yaml
+ *
+ * Placeholders are written as `{{NAME}}`, or `{{NAME argument}}` for
+ * functions. Names are upper case, so lower-case template syntax in code
+ * samples (`{{ user.name }}`) is left alone. Unknown upper-case placeholders
+ * are reported rather than posted literally.
+ *
+ * Variables:
+ * - COMMIT_SHA, SHORT_SHA: PR head commit (full / 7 characters)
+ * - COMMIT_URL, PR_URL, RUN_URL: links to the head commit, the PR and the
+ *   workflow run
+ * - AGENT_NAME, AGENT_MODEL: agent and model of this run
+ * - RUN_DURATION, RUN_COST: from .pr/run-report.json, which the output
+ *   formatters write during the run (see lib/run-report.js); "n/a" when the
+ *   agent didn't run or its backend reports no cost
+ * - TRANSCRIPT_URL: download link for the run artifact holding the HTML
+ *   transcript, when one was written
+ *
+ * Functions:
+ * - FILE_LINK path#L10 (or path#L10-L20, or just path): Markdown permalink
+ *   to the file at the head commit
+ */
+
+const fs = require("fs");
+const { readRunReport } = require("./run-report");
+const { TRANSCRIPT_PATH, RUN_ARTIFACT_NAME } = require("./transcript-html");
+
+const PLACEHOLDER_REGEX = /\{\{\s*([A-Z][A-Z0-9_]*)(?:\s+([^}]*?))?\s*\}\}/g;
+
+// Shown for variables whose value isn't available in this run
+const UNAVAILABLE = "n/a";
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+function repoUrlOf(pr) {
+  if (pr.base && pr.base.repo && pr.base.repo.html_url) {
+    return pr.base.repo.html_url;
+  }
+  return (pr.html_url || "").replace(/\/pulls\/\d+$/, "");
+}
+
+/**
+ * Build the template context for a run.
+ *
+ * @param {object} options
+ * @param {object} options.pr - PR as returned by the Gitea API
+ * @param {object} [options.env] - Environment (AGENT_NAME, MODELNAME, RUN_URL)
+ * @param {object} [options.report] - Run report (duration_ms, total_cost_usd)
+ * @param {boolean} [options.hasTranscript] - Whether an HTML transcript was
+ *   written for the run artifact
+ */
+function createTemplateContext({
+  pr,
+  env = process.env,
+  report = readRunReport() || {},
+  hasTranscript = fs.existsSync(TRANSCRIPT_PATH),
+}) {
+  const sha = pr.head.sha;
+  const repoUrl = repoUrlOf(pr);
+
+  const variables = {
+    COMMIT_SHA: sha,
+    SHORT_SHA: sha.substring(0, 7),
+    COMMIT_URL: repoUrl ? `${repoUrl}/commit/${sha}` : null,
+    PR_URL: pr.html_url || null,
+    RUN_URL: env.RUN_URL || null,
+    AGENT_NAME: env.AGENT_NAME || null,
+    AGENT_MODEL: env.MODELNAME || null,
+    RUN_DURATION: report.duration_ms > 0 ? formatDuration(report.duration_ms) : null,
+    RUN_COST:
+      typeof report.total_cost_usd === "number"
+        ? `$${report.total_cost_usd.toFixed(4)}`
+        : null,
+    TRANSCRIPT_URL:
+      hasTranscript && env.RUN_URL ? `${env.RUN_URL}/artifacts/${RUN_ARTIFACT_NAME}` : null,
+  };
+
+  const functions = {
+    FILE_LINK(arg) {
+      const match = (arg || "").match(/^([^#]+?)(?:#L(\d+)(?:-L?(\d+))?)?$/);
+      if (!match) {
+        throw new Error("needs a file path, e.g. {{FILE_LINK src/app.js#L10}}");
+      }
+      const [, filePath, start, end] = match;
+      const anchor = start ? `#L${start}${end ? `-L${end}` : ""}` : "";
+      const label = start ? `${filePath}:${start}${end ? `-${end}` : ""}` : filePath;
+      const encodedPath = filePath.split("/").map(encodeURIComponent).join("/");
+      return `[\`${label}\`](${repoUrl}/src/commit/${sha}/${encodedPath}${anchor})`;
+    },
+  };
+
+  return { variables, functions };
+}
+
+/**
+ * Replace the placeholders in `text`.
+ *
+ * @returns {{text: string, errors: string[]}} Errors for unknown placeholders
+ *   and bad function arguments; the placeholders are left as is
+ */
+function renderTemplate(text, context) {
+  const errors = [];
+  const rendered = text.replace(PLACEHOLDER_REGEX, (placeholder, name, arg) => {
+    if (Object.prototype.hasOwnProperty.call(context.functions, name)) {
+      try {
+        return context.functions[name](arg);
+      } catch (error) {
+        errors.push(`${placeholder} ${error.message}`);
+        return placeholder;
+      }
+    }
+    if (Object.prototype.hasOwnProperty.call(context.variables, name)) {
+      if (arg) {
+        errors.push(`${placeholder} does not take an argument`);
+        return placeholder;
+      }
+      const value = context.variables[name];
+      return value === null ? UNAVAILABLE : value;
+    }
+    errors.push(`unknown placeholder ${placeholder}`);
+    return placeholder;
+  });
+  return { text: rendered, errors };
+}
+
+module.exports = {
+  createTemplateContext,
+  renderTemplate,
+};
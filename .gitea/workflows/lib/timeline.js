@@ -0,0 +1,220 @@
+/**
+ * PR timeline rendering for fetch-pr.js
+ *
+ * Turns the Gitea `/issues/{index}/timeline` events into a single
+ * chronological log: comments, reviews, inline review comments, pushed
+ * commits, label/assignee/title changes and Laforge's own status posts.
+ * Entries after the last Laforge run (or, without a run cursor, Laforge's
+ * last activity on the PR) are marked as new.
+ */
+
+// Timeline event types that count as activity by the agent
+const BOT_ACTIVITY_TYPES = ["comment", "review", "code", "pull_push"];
+
+function shortSha(sha) {
+  return sha ? sha.substring(0, 7) : "";
+}
+
+function parsePushBody(body) {
+  try {
+    const data = JSON.parse(body);
+    return {
+      commitIds: Array.isArray(data.commit_ids) ? data.commit_ids : [],
+      isForcePush: !!data.is_force_push,
+    };
+  } catch (error) {
+    return { commitIds: [], isForcePush: false };
+  }
+}
+
+/**
+ * Find when Laforge was last active on the PR (its last status comment,
+ * review or push). Returns a Date or null.
+ */
+function lastBotActivity(events, botLogin) {
+  let last = null;
+  for (const e of events) {
+    if (
+      e.user &&
+      e.user.login === botLogin &&
+      BOT_ACTIVITY_TYPES.includes(e.type)
+    ) {
+      const at = new Date(e.created_at);
+      if (!last || at > last) {
+        last = at;
+      }
+    }
+  }
+  return last;
+}
+
+/**
+ * Describe a single timeline event. Returns { summary, body } or null for
+ * events that are not worth showing to the agent.
+ *
+ * @param {object} event - Gitea TimelineComment
+ * @param {object} lookups - { reviewsById, reviewCommentsById, describeLocation }
+ */
+function describeEvent(event, lookups) {
+  const actor = event.user ? `**${event.user.login}**` : "Someone";
+
+  switch (event.type) {
+    case "comment":
+      return { summary: `${actor} commented`, body: event.body };
+
+    case "review": {
+      const review = lookups.reviewsById.get(event.review_id);
+      const state = review ? review.state : "REVIEWED";
+      return { summary: `${actor} submitted a review (${state})`, body: event.body };
+    }
+
+    case "code": {
+      const comment = lookups.reviewCommentsById.get(event.id);
+      const where = comment ? ` on ${lookups.describeLocation(comment)}` : "";
+      return { summary: `${actor} commented${where}`, body: event.body };
+    }
+
+    case "pull_push": {
+      const { commitIds, isForcePush } = parsePushBody(event.body);
+      const verb = isForcePush ? "force-pushed" : "pushed";
+      const shas = commitIds.map((sha) => `\`${shortSha(sha)}\``).join(", ");
+      return {
+        summary: `${actor} ${verb} ${commitIds.length} commit(s)${shas ? `: ${shas}` : ""}`,
+        body: null,
+      };
+    }
+
+    case "commit_ref":
+      return { summary: `${actor} referenced this PR in a commit`, body: null };
+
+    case "label": {
+      const name = event.label ? event.label.name : "a label";
+      // Gitea stores "1" in the body when the label was added
+      const verb = event.body === "1" ? "added" : "removed";
+      return { summary: `${actor} ${verb} label \`${name}\``, body: null };
+    }
+
+    case "assignees": {
+      const assignee = event.assignee ? `**${event.assignee.login}**` : "someone";
+      const verb = event.removed_assignee ? "unassigned" : "assigned";
+      return { summary: `${actor} ${verb} ${assignee}`, body: null };
+    }
+
+    case "review_request": {
+      const reviewer = event.assignee
+        ? `**${event.assignee.login}**`
+        : event.assignee_team
+          ? `team **${event.assignee_team.name}**`
+          : "a reviewer";
+      return { summary: `${actor} requested a review from ${reviewer}`, body: null };
+    }
+
+    case "change_title":
+      return {
+        summary: `${actor} changed the title from "${event.old_title}" to "${event.new_title}"`,
+        body: null,
+      };
+
+    case "change_target_branch":
+      return {
+        summary: `${actor} changed the target branch from \`${event.old_ref}\` to \`${event.new_ref}\``,
+        body: null,
+      };
+
+    case "close":
+      return { summary: `${actor} closed the PR`, body: null };
+
+    case "reopen":
+      return { summary: `${actor} reopened the PR`, body: null };
+
+    case "merge_pull":
+      return { summary: `${actor} merged the PR`, body: null };
+
+    case "delete_branch":
+      return { summary: `${actor} deleted the branch`, body: null };
+
+    default:
+      // Milestones, projects, dependencies etc. are noise for the agent
+      return null;
+  }
+}
+
+/**
+ * Build the ordered list of timeline entries.
+ *
+ * @param {object[]} events - Gitea timeline events
+ * @param {object} options
+ * @param {object[]} options.reviews - Reviews with their `comments`
+ * @param {function} options.describeLocation - Formats a review comment's location
+ * @param {string} options.botLogin - Laforge's user login
+ * @param {Date|null} [options.since] - Start of the last Laforge run, if known
+ * @returns {{entries: object[], since: Date|null}}
+ */
+function buildTimeline(events, { reviews, describeLocation, botLogin, since }) {
+  const reviewsById = new Map();
+  const reviewCommentsById = new Map();
+  for (const review of reviews) {
+    reviewsById.set(review.id, review);
+    for (const c of review.comments || []) {
+      reviewCommentsById.set(c.id, c);
+    }
+  }
+
+  const newSince = since || lastBotActivity(events, botLogin);
+  const entries = [];
+  for (const event of events) {
+    const description = describeEvent(event, {
+      reviewsById,
+      reviewCommentsById,
+      describeLocation,
+    });
+    if (!description) {
+      continue;
+    }
+    const at = new Date(event.created_at);
+    const isBot = !!(event.user && event.user.login === botLogin);
+    entries.push({
+      ...description,
+      createdAt: event.created_at,
+      isBot,
+      isNew: !isBot && (!newSince || at > newSince),
+    });
+  }
+
+  entries.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  return { entries, since: newSince };
+}
+
+/**
+ * Render timeline entries as markdown. `renderBody` post-processes comment
+ * bodies (e.g. to download attachments) and may be async.
+ */
+async function formatTimeline({ entries, since }, renderBody) {
+  let text = `## Timeline\n\n`;
+  if (since) {
+    text += `_Entries marked **[NEW]** happened after the last Laforge run (${since.toISOString()})._\n`;
+  } else {
+    text += `_Laforge has not been active on this PR yet; every entry is new._\n`;
+  }
+
+  for (const entry of entries) {
+    let heading = `${entry.createdAt} — ${entry.summary}`;
+    if (entry.isBot) {
+      heading += " _(Laforge)_";
+    }
+    if (entry.isNew) {
+      heading += " **[NEW]**";
+    }
+    text += `\n### ${heading}\n`;
+    if (entry.body) {
+      text += `${await renderBody(entry.body)}\n`;
+    }
+  }
+
+  return text;
+}
+
+module.exports = {
+  buildTimeline,
+  formatTimeline,
+};
@@ -0,0 +1,339 @@
+/**
+ * Markdown rendering of agent tool calls and their results, for the output
+ * formatters.
+ *
+ * Calls are rendered according to the tool: file edits as a diff, TodoWrite
+ * as a checklist, Bash as the command that was run. Results are rendered
+ * under a heading naming the call they belong to (paired by tool_use_id in
+ * the formatter), Bash results with the command's exit status.
+ *
+ * Long output is cut to its first and last lines. The limits come from the
+ * environment:
+ * - LAFORGE_OUTPUT_MAX_LINES: longest result shown in full (default 100;
+ *   0 shows everything)
+ * - LAFORGE_OUTPUT_HEAD_LINES, LAFORGE_OUTPUT_TAIL_LINES: lines kept from
+ *   the start and end of longer results (default 50 each)
+ * - LAFORGE_OUTPUT_PARAM_LENGTH: longest parameter shown in a call heading
+ *   (default 60)
+ */
+
+// Parameters shown in the call heading, in order of preference
+const KEY_PARAMS = ["command", "file_path", "notebook_path", "pattern", "path", "url", "message", "query", "description"];
+
+// Tools whose successful result only repeats what the call already shows
+const QUIET_RESULT_TOOLS = ["Edit", "MultiEdit", "Write", "NotebookEdit", "TodoWrite"];
+
+// Above this many cells in the LCS table (old lines x new lines), edits are
+// shown as removal + addition instead of computing a line diff
+const MAX_DIFF_CELLS = 500 * 500;
+
+function readLimit(env, name, fallback) {
+  const value = parseInt(env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+function outputLimitsFromEnv(env = process.env) {
+  return {
+    maxLines: readLimit(env, "LAFORGE_OUTPUT_MAX_LINES", 100),
+    headLines: readLimit(env, "LAFORGE_OUTPUT_HEAD_LINES", 50),
+    tailLines: readLimit(env, "LAFORGE_OUTPUT_TAIL_LINES", 50),
+    paramLength: readLimit(env, "LAFORGE_OUTPUT_PARAM_LENGTH", 60),
+  };
+}
+
+/**
+ * Cut `text` to its first and last lines if it's longer than the limits allow.
+ *
+ * @returns {{text: string, totalLines: number, truncated: boolean}}
+ */
+function truncateLines(text, limits) {
+  const lines = text.split("\n");
+  if (limits.maxLines === 0 || lines.length <= limits.maxLines) {
+    return { text, totalLines: lines.length, truncated: false };
+  }
+  const head = lines.slice(0, limits.headLines);
+  const tail = limits.tailLines > 0 ? lines.slice(-limits.tailLines) : [];
+  const omitted = lines.length - head.length - tail.length;
+  return {
+    text: [...head, "", `... [${omitted} lines truncated] ...`, "", ...tail].join("\n"),
+    totalLines: lines.length,
+    truncated: true,
+  };
+}
+
+/**
+ * Short summary of a call's input, e.g. the command or file path.
+ */
+function formatToolParams(input, limits) {
+  if (!input || Object.keys(input).length === 0) {
+    return "";
+  }
+  for (const key of KEY_PARAMS) {
+    if (input[key] !== undefined) {
+      const value = String(input[key]).split("\n")[0];
+      if (limits.paramLength > 0 && value.length > limits.paramLength) {
+        return value.substring(0, Math.max(limits.paramLength - 3, 0)) + "...";
+      }
+      return value;
+    }
+  }
+  return `${Object.keys(input).length} params`;
+}
+
+function formatCallLabel(call, limits) {
+  const params = formatToolParams(call.input, limits);
+  return params ? `${call.name} (${params})` : call.name;
+}
+
+/**
+ * Line diff of two texts as " ", "-" and "+" lines (longest common
+ * subsequence; edits are usually small snippets).
+ */
+function diffLines(oldText, newText) {
+  const a = oldText === "" ? [] : oldText.split("\n");
+  const b = newText === "" ? [] : newText.split("\n");
+  if ((a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) {
+    return [...a.map((l) => `-${l}`), ...b.map((l) => `+${l}`)];
+  }
+
+  // lcs[i][j] = length of the LCS of a[i:] and b[j:]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push(` ${a[i]}`);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push(`-${a[i++]}`);
+    } else {
+      lines.push(`+${b[j++]}`);
+    }
+  }
+  while (i < a.length) {
+    lines.push(`-${a[i++]}`);
+  }
+  while (j < b.length) {
+    lines.push(`+${b[j++]}`);
+  }
+  return lines;
+}
+
+function codeBlock(text, language = "") {
+  // Use a longer fence if the text contains one
+  const fence = text.includes("```") ? "~~~~" : "```";
+  return `${fence}${language}\n${text}\n${fence}`;
+}
+
+function formatDiffBlock(filePath, hunks, limits, isNewFile = false) {
+  const lines = [isNewFile ? "--- /dev/null" : `--- ${filePath}`, `+++ ${filePath}`];
+  for (const hunk of hunks) {
+    lines.push("@@", ...hunk);
+  }
+  return codeBlock(truncateLines(lines.join("\n"), limits).text, "diff");
+}
+
+function formatTodos(todos) {
+  return (todos || [])
+    .map((todo) => {
+      if (todo.status === "completed") {
+        return `- [x] ${todo.content}`;
+      }
+      if (todo.status === "in_progress") {
+        return `- [ ] **${todo.content}** _(in progress)_`;
+      }
+      return `- [ ] ${todo.content}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Render a tool call as Markdown.
+ *
+ * @param {{name: string, input: object}} call
+ */
+function formatToolCall(call, limits) {
+  const input = call.input || {};
+  const heading = `> ${formatCallLabel(call, limits)}`;
+
+  switch (call.name) {
+    case "Edit":
+      if (typeof input.old_string === "string" && typeof input.new_string === "string") {
+        return `${heading}\n\n${formatDiffBlock(input.file_path, [diffLines(input.old_string, input.new_string)], limits)}`;
+      }
+      break;
+
+    case "MultiEdit":
+      if (Array.isArray(input.edits)) {
+        const hunks = input.edits.map((edit) => diffLines(edit.old_string || "", edit.new_string || ""));
+        return `${heading}\n\n${formatDiffBlock(input.file_path, hunks, limits)}`;
+      }
+      break;
+
+    case "Write":
+      if (typeof input.content === "string") {
+        return `${heading}\n\n${formatDiffBlock(input.file_path, [diffLines("", input.content)], limits, true)}`;
+      }
+      break;
+
+    case "TodoWrite":
+      if (Array.isArray(input.todos)) {
+        return `> ${call.name}\n\n${formatTodos(input.todos)}`;
+      }
+      break;
+
+    case "Bash":
+      if (typeof input.command === "string") {
+        const title = input.description ? `> Bash: ${input.description}` : "> Bash";
+        return `${title}\n\n${codeBlock(truncateLines(input.command, limits).text, "bash")}`;
+      }
+      break;
+  }
+  return heading;
+}
+
+/**
+ * Turn tool result content into text and images. Content is either a string
+ * or a list of blocks: { type: "text", text } and
+ * { type: "image", source: { type: "base64", media_type, data } }.
+ *
+ * @returns {{text: string, images: {mediaType: string, bytes: number, data: string|null}[]}}
+ */
+function normalizeToolResultContent(content) {
+  if (content === undefined || content === null) {
+    return { text: "", images: [] };
+  }
+  if (typeof content === "string") {
+    return { text: content, images: [] };
+  }
+  const blocks = Array.isArray(content) ? content : [content];
+  const texts = [];
+  const images = [];
+  for (const block of blocks) {
+    if (typeof block === "string") {
+      texts.push(block);
+    } else if (block && block.type === "text") {
+      texts.push(block.text || "");
+    } else if (block && block.type === "image") {
+      const source = block.source || {};
+      const data = source.type === "base64" ? source.data || "" : null;
+      images.push({
+        mediaType: source.media_type || "image",
+        // Decoded size of the base64 data
+        bytes: data ? Math.floor((data.replace(/=+$/, "").length * 3) / 4) : 0,
+        data,
+      });
+    } else {
+      texts.push(JSON.stringify(block));
+    }
+  }
+  return { text: texts.join("\n"), images };
+}
+
+function formatImages(images) {
+  return images
+    .map((image) => {
+      let size = "";
+      if (image.bytes >= 1024) {
+        size = `, ${(image.bytes / 1024).toFixed(1)} KB`;
+      } else if (image.bytes > 0) {
+        size = `, ${image.bytes} bytes`;
+      }
+      return `[image: ${image.mediaType}${size}]`;
+    })
+    .join("\n");
+}
+
+/**
+ * Exit status of a Bash result, or null if the backend didn't report it.
+ * Claude Code reports failures as an error result starting with
+ * "Exit code N"; the OpenCode formatter adds the same line to every Bash
+ * result it has an exit status for.
+ */
+function bashExitCode(content) {
+  const match = content.match(/^Exit code (\d+)/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Render a Bash result with its output and, when known, its exit status.
+ * Successful calls without output aren't worth showing.
+ */
+function formatBashResult(call, content, isError, limits) {
+  const exitCode = bashExitCode(content);
+  const output = content.replace(/^Exit code \d+\n?/, "");
+  const command = `**Bash** (\`${formatToolParams(call.input, limits)}\`)`;
+  let status = command;
+  if (exitCode !== null) {
+    status = `${command} exited with code ${exitCode}`;
+  } else if (isError) {
+    status = `${command} failed`;
+  }
+  const warning = isError ? "⚠️  " : "";
+  if (!output.trim()) {
+    return isError ? `${warning}${status}` : null;
+  }
+  const { text, totalLines, truncated } = truncateLines(output, limits);
+  const note = truncated ? ` _(truncated, ${totalLines} lines total)_` : "";
+  return `${warning}${status}${note}:\n${codeBlock(text)}`;
+}
+
+/**
+ * Render a tool result as Markdown, or return null if there is nothing worth
+ * showing.
+ *
+ * @param {{name: string, input: object}|null} call - The call the result
+ *   belongs to, if it was seen
+ * @param {string} content - Result text
+ * @param {boolean} isError
+ * @param {object} limits - From outputLimitsFromEnv()
+ * @param {object[]} [images] - Images in the result, shown as placeholders
+ */
+function formatToolResult(call, content, isError, limits, images = []) {
+  const rendered = formatToolResultText(call, content, isError, limits);
+  if (images.length === 0) {
+    return rendered;
+  }
+  const label = call ? ` for \`${formatCallLabel(call, limits)}\`` : "";
+  const imageText = formatImages(images);
+  return rendered ? `${rendered}\n${imageText}` : `**Tool result**${label}:\n${imageText}`;
+}
+
+function formatToolResultText(call, content, isError, limits) {
+  const label = call ? `\`${formatCallLabel(call, limits)}\`` : null;
+
+  if (call && call.name === "Bash") {
+    return formatBashResult(call, content, isError, limits);
+  }
+  if (!isError && (!content || (call && QUIET_RESULT_TOOLS.includes(call.name)))) {
+    return null;
+  }
+
+  const { text, totalLines, truncated } = truncateLines(content, limits);
+  const note = truncated ? ` _(truncated, ${totalLines} lines total)_` : "";
+
+  if (isError) {
+    const error = text.includes("\n") ? `\n${codeBlock(text)}` : ` ${text}`;
+    return `⚠️  Tool error${label ? ` in ${label}` : ""}${note}:${error}`;
+  }
+  return `**Tool result**${label ? ` for ${label}` : ""}${note}:\n${codeBlock(text)}`;
+}
+
+module.exports = {
+  outputLimitsFromEnv,
+  truncateLines,
+  normalizeToolResultContent,
+  formatToolParams,
+  formatCallLabel,
+  formatToolCall,
+  formatToolResult,
+  diffLines,
+};
@@ -0,0 +1,130 @@
+/**
+ * Self-contained HTML transcript of an agent run
+ *
+ * Written by the output formatter when LAFORGE_TRANSCRIPT_HTML is set to a
+ * path. The workflow uses TRANSCRIPT_PATH and uploads the file, together
+ * with the run report, as the RUN_ARTIFACT_NAME artifact.
+ *
+ * The page has no external resources: styles are inline and tool results
+ * are collapsed in <details> elements, so it can be opened straight from
+ * the downloaded artifact.
+ *
+ * When the formatter runs more than once per job, each run adds a session
+ * to the existing file instead of replacing it.
+ */
+
+const fs = require("fs");
+
+// Where the workflow writes the transcript, and the artifact it's uploaded in
+const TRANSCRIPT_PATH = ".pr/transcript.html";
+const RUN_ARTIFACT_NAME = "laforge-run";
+
+// Later sessions are inserted before this marker
+const END_MARKER = "<!-- laforge:transcript-end -->";
+
+const STYLE = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 960px; margin: 2em auto; padding: 0 1em; color: #24292f; }
+h1 { font-size: 1.4em; }
+h2 { font-size: 1.1em; border-bottom: 1px solid #d0d7de; padding-bottom: .3em; margin-top: 2em; }
+.meta { color: #57606a; font-size: .9em; }
+.text { white-space: pre-wrap; margin: 1em 0; }
+.tool { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: .9em; margin: .8em 0 .2em; color: #0550ae; }
+details { margin: .2em 0 .8em 1.2em; }
+summary { cursor: pointer; color: #57606a; font-size: .9em; }
+pre { background: #f6f8fa; padding: .8em; overflow-x: auto; font-size: .85em; border-radius: 6px; }
+.error summary, .error pre { color: #cf222e; }
+.thinking .text { color: #57606a; font-style: italic; }
+img { max-width: 100%; }
+.result { border-top: 1px solid #d0d7de; margin-top: 1.5em; padding-top: .8em; }
+`;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Collect one session of the transcript; write() adds it to the file.
+ */
+function createHtmlTranscript(outputPath) {
+  const parts = [];
+
+  return {
+    startSession({ model, sessionId, cwd }) {
+      parts.push(`<h2>Session <code>${escapeHtml(sessionId || "unknown")}</code></h2>`);
+      parts.push(
+        `<p class="meta">Model: ${escapeHtml(model || "unknown")} · <code>${escapeHtml(cwd || "")}</code></p>`
+      );
+    },
+
+    text(text) {
+      parts.push(`<div class="text">${escapeHtml(text)}</div>`);
+    },
+
+    thinking(text) {
+      parts.push(`<details class="thinking"><summary>Thinking</summary><div class="text">${escapeHtml(text)}</div></details>`);
+    },
+
+    toolUse(name, input) {
+      parts.push(`<div class="tool">&gt; ${escapeHtml(name)}</div>`);
+      if (input && Object.keys(input).length > 0) {
+        parts.push(
+          `<details><summary>Input</summary><pre>${escapeHtml(JSON.stringify(input, null, 2))}</pre></details>`
+        );
+      }
+    },
+
+    toolResult(content, isError, images = []) {
+      const lines = String(content).split("\n").length;
+      const summary = isError ? "Tool error" : `Tool result (${lines} line${lines === 1 ? "" : "s"})`;
+      const imageTags = images
+        .filter((image) => image.data && /^image\/[\w.+-]+$/.test(image.mediaType))
+        .map((image) => `<img alt="" src="data:${image.mediaType};base64,${escapeHtml(image.data)}">`)
+        .join("\n");
+      parts.push(
+        `<details${isError ? ' class="error" open' : ""}><summary>${summary}</summary><pre>${escapeHtml(content)}</pre>${imageTags}</details>`
+      );
+    },
+
+    result(summary, text) {
+      parts.push(`<div class="result"><strong>${escapeHtml(summary)}</strong>`);
+      if (text) {
+        parts.push(`<div class="text">${escapeHtml(text)}</div>`);
+      }
+      parts.push("</div>");
+    },
+
+    write() {
+      const section = parts.join("\n") + "\n";
+      let html;
+      try {
+        const existing = fs.existsSync(outputPath) ? fs.readFileSync(outputPath, "utf8") : "";
+        if (existing.includes(END_MARKER)) {
+          html = existing.replace(END_MARKER, () => `${section}${END_MARKER}`);
+        }
+      } catch (error) {
+        console.error(`Could not read ${outputPath}: ${error.message}`);
+      }
+      if (!html) {
+        html =
+          `<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n` +
+          `<title>Laforge run transcript</title>\n<style>${STYLE}</style>\n</head>\n<body>\n` +
+          `<h1>Laforge run transcript</h1>\n${section}${END_MARKER}\n</body>\n</html>\n`;
+      }
+      try {
+        fs.writeFileSync(outputPath, html);
+      } catch (error) {
+        console.error(`Could not write ${outputPath}: ${error.message}`);
+      }
+    },
+  };
+}
+
+module.exports = {
+  TRANSCRIPT_PATH,
+  RUN_ARTIFACT_NAME,
+  createHtmlTranscript,
+};
@@ -1,19 +1,37 @@
 /**
  * Agent Command Parser for Laforge PR Workflow
  *
- * This script parses PR comments to detect agent selection commands:
+ * This script parses slash commands in the PR comment that triggered the run
+ * (see lib/commands.js for the syntax and the full list):
  * - `/agent <name>` - Sets the primary agent for all subsequent runs
- * - `/critique <name>` - Triggers one-time review run without changing primary agent
+ * - `/critique [name] [--focus=<text>]` - One-time review run without changing primary agent
+ * - `/plan [name]` - One-time planning run
+ * - `/retry [--agent=<name>]` - Runs again, optionally with another agent for this run
+ * - `/stop` - Unassigns Laforge and skips the run
+ * - `/status`, `/budget`, `/help` - Reply on the PR without running the agent
  *
  * The script:
  * 1. If COMMENT_ID is provided, fetches and parses only that specific comment
  * 2. If no COMMENT_ID, uses the primary agent from config (no comment parsing)
- * 3. Validates agent names against registry
- * 4. Updates or reads `.pr/agent-config.json` for state management
- * 5. Outputs environment variables for the workflow to consume
+ * 3. Validates agent names (and the requested mode) against the agent registry,
+ *    loaded from `.laforge/agents.yaml` on the base branch or the built-in
+ *    defaults
+ * 4. Checks the commenter's repository permission against the rules in
+ *    `.laforge/permissions.yaml` on the base branch (or the defaults) before
+ *    applying a command
+ * 5. Reads and updates the PR's agent config in the PR state store (a hidden
+ *    marker in a Laforge comment, see lib/pr-state.js), so it never lands in
+ *    the branch
+ * 6. Refuses to run once the PR or repository has used up a budget set in
+ *    `.laforge/budget.yaml` on the base branch (see lib/budget.js), and says
+ *    so on the PR
+ * 7. Acknowledges every command on the PR with a reaction on the comment and
+ *    a short reply (applied, rejected, or the /help, /status and /budget
+ *    output)
+ * 8. Outputs environment variables for the workflow to consume
  *
- * This ensures /critique commands only affect the single run they trigger,
- * while /agent commands persist across runs.
+ * This ensures one-time commands such as /critique only affect the single run
+ * they trigger, while /agent commands persist across runs.
  *
  * Required environment variables:
  * - GITEA_TOKEN: API token for authentication
@@ -24,126 +42,374 @@
  *
  * Optional environment variables:
  * - COMMENT_ID: If provided, only parse this specific comment (for issue_comment events)
+ * - PR_BASE_REF: Base branch of the PR, which the agent registry, the
+ *   permission rules and the budget limits are read from (see
+ *   lib/base-config.js)
+ * - LAFORGE_AGENTS_CONFIG: Path of the agent registry (default .laforge/agents.yaml)
+ * - LAFORGE_PERMISSIONS_CONFIG: Path of the permission rules (default .laforge/permissions.yaml)
+ * - LAFORGE_BUDGET_CONFIG: Path of the budget limits (default .laforge/budget.yaml)
+ * - LAFORGE_USER: Login of the Laforge bot user (default "laforge")
+ * - LAFORGE_PROGRESS_USER: Login of the account posting the progress
+ *   comments (default LAFORGE_USER); edits of those never start a run
+ * - LAFORGE_STATE_STORE: "comment" (default) or "file" to keep the agent config
+ *   in `.pr/agent-config.json` as before
+ * - LAFORGE_COMMAND_ACK: "reply" (default) to reply to every command, or
+ *   "reaction" to acknowledge successful commands with a reaction only
+ *
+ * Outputs: should_run, agent_mode, agent_name, model_id, agent_backend,
+ * agent_prompt, agent_focus
  */
 
-const http = require("http");
 const fs = require("fs");
+const { createGiteaClientFromEnv, getRepoContext } = require("./lib/gitea-api");
+const {
+  BUILTIN_CONFIG,
+  loadAgentRegistry,
+  getAgent,
+  agentNames,
+  isModeAllowed,
+} = require("./lib/agent-registry");
+const { parseCommands, formatHelp } = require("./lib/commands");
+const {
+  loadPermissionRules,
+  createPermissionLookup,
+  checkCommandPermission,
+} = require("./lib/permissions");
+const { AGENT_CONFIG_KEY, createStateStoreFromEnv, readStateFile } = require("./lib/pr-state");
+const { unassignUser } = require("./lib/pr-actions");
+const { isProgressComment, progressLogin } = require("./lib/progress-comment");
+const {
+  PR_LEDGER_KEY,
+  loadBudgetConfig,
+  checkBudget,
+  hasRepoLimits,
+  formatBudget,
+  createRepoLedger,
+} = require("./lib/budget");
+
+function readAgentConfig(store, defaultAgent) {
+  const config = store.get(AGENT_CONFIG_KEY);
+  if (config) {
+    return config;
+  }
 
-// Agent registry: maps short names to full model IDs
-const AGENT_REGISTRY = {
-  sonnet: "claude-sonnet-4-5-20250929",
-  opus: "claude-opus-4-5-20251101",
-  haiku: "claude-haiku-4-5-20251001",
-  qwen: "lmstudio/qwen/qwen3-coder-30b",
-  gpt: "lmstudio/openai/gpt-oss-20b",
-};
+  // Carry over the config of PRs that still have .pr/agent-config.json
+  if (store.name !== "file") {
+    const legacy = readStateFile(AGENT_CONFIG_KEY);
+    if (legacy) {
+      console.log("Moving agent config from .pr/agent-config.json to the PR state store");
+      store.set(AGENT_CONFIG_KEY, legacy);
+      return legacy;
+    }
+  }
 
-const DEFAULT_AGENT = "qwen";
+  // Return default config if none has been stored yet
+  return {
+    primary_agent: defaultAgent,
+    last_updated: new Date().toISOString(),
+    updated_by: "system",
+  };
+}
 
-// Path to agent config file (state management)
-const AGENT_CONFIG_PATH = ".pr/agent-config.json";
+function writeAgentConfig(store, config) {
+  store.set(AGENT_CONFIG_KEY, config);
+  console.log(`Updated agent config: ${config.primary_agent}`);
+}
 
-async function fetchGiteaAPI(path) {
-  return new Promise((resolve, reject) => {
-    const token = process.env.GITEA_TOKEN;
-    const baseUrl = process.env.GITEA_API_URL;
+function setOutput(name, value) {
+  const str = value === null || value === undefined ? "" : String(value);
 
-    const url = new URL(baseUrl);
-    const fullPath = url.pathname + path;
+  // GitHub Actions compatible output format
+  console.log(`::set-output name=${name}::${str.replace(/\n/g, "%0A")}`);
+
+  // Also set as environment variable for subsequent steps. Multi-line values
+  // (e.g. prompts) need the heredoc-style delimiter syntax.
+  const line = str.includes("\n")
+    ? `${name}<<LAFORGE_EOF\n${str}\nLAFORGE_EOF\n`
+    : `${name}=${str}\n`;
+  fs.appendFileSync(process.env.GITHUB_OUTPUT || "/dev/null", line);
+}
 
-    console.log(`Fetching ${baseUrl}${path}...`);
+function setAgentOutputs({ shouldRun, mode, agent, focus }) {
+  const prompts = {
+    primary: agent.prompt,
+    critique: agent.critiquePrompt,
+    plan: agent.planPrompt,
+  };
 
-    const options = {
-      hostname: url.hostname,
-      port: url.port,
-      path: fullPath,
-      method: "GET",
-      headers: {
-        Authorization: `token ${token}`,
-        Accept: "application/json",
-      },
-    };
+  console.log(`Should run: ${shouldRun}`);
+  console.log(`Agent mode: ${mode}`);
+  console.log(`Agent name: ${agent.name}`);
+  console.log(`Model ID: ${agent.model}`);
+  console.log(`Backend: ${agent.backend}`);
+
+  setOutput("should_run", shouldRun ? "true" : "false");
+  setOutput("agent_mode", mode);
+  setOutput("agent_name", agent.name);
+  setOutput("model_id", agent.model);
+  setOutput("agent_backend", agent.backend);
+  // Empty means "use the default prompt for this mode" (see claude.sh)
+  setOutput("agent_prompt", prompts[mode] || "");
+  setOutput("agent_focus", focus || "");
+}
 
-    const req = http.request(options, (res) => {
-      let data = "";
-      res.on("data", (chunk) => {
-        data += chunk;
-      });
-      res.on("end", () => resolve(JSON.parse(data)));
-    });
+// Look up an agent for a command, returning an error message if it can't be used
+function resolveAgent(registry, name, mode) {
+  const agent = getAgent(registry, name);
+  if (!agent) {
+    return {
+      error: `Unknown agent \`${name}\`. Valid options: ${agentNames(registry).join(", ")}`,
+    };
+  }
+  if (!isModeAllowed(agent, mode)) {
+    return {
+      error: `Agent \`${name}\` cannot be used for ${mode} runs (allowed: ${agent.modes.join(", ")})`,
+    };
+  }
+  return { agent };
+}
 
-    req.on("error", reject);
-    req.end();
-  });
+function formatStatus(registry, config, primary) {
+  let text = `**Laforge status**\n\n`;
+  text += `- Primary agent: \`${primary.name}\` (\`${primary.model}\`, ${primary.backend})\n`;
+  text += `- Last changed by ${config.updated_by} at ${config.last_updated}\n`;
+  text += `- Agent registry: ${registry.source}\n`;
+  text += `- Available agents: ${agentNames(registry)
+    .map((name) => `\`${name}\``)
+    .join(", ")}\n`;
+  return text;
 }
 
-function readAgentConfig() {
+// This month's repository ledger entry, or null if the ledger can't be read
+async function loadRepoBudget(context) {
+  const ledger = createRepoLedger(context);
   try {
-    if (fs.existsSync(AGENT_CONFIG_PATH)) {
-      const config = JSON.parse(fs.readFileSync(AGENT_CONFIG_PATH, "utf8"));
-      return config;
-    }
+    await ledger.load();
+    return ledger.month() || {};
   } catch (error) {
-    console.log(`Error reading agent config: ${error.message}`);
+    console.log(`ERROR: Could not load the repository budget ledger: ${error.message}`);
+    return null;
   }
-
-  // Return default config if file doesn't exist or can't be read
-  return {
-    primary_agent: DEFAULT_AGENT,
-    last_updated: new Date().toISOString(),
-    updated_by: "system",
-  };
 }
 
-function writeAgentConfig(config) {
-  try {
-    fs.writeFileSync(AGENT_CONFIG_PATH, JSON.stringify(config, null, 2));
-    console.log(`Updated agent config: ${config.primary_agent}`);
-  } catch (error) {
-    console.log(`Error writing agent config: ${error.message}`);
+/**
+ * Stop the run if a budget has been used up.
+ *
+ * @returns {string|null} The message explaining why the run was refused
+ */
+async function enforceBudget(run, store, context) {
+  if (!run.shouldRun) {
+    return null;
+  }
+  const budget = loadBudgetConfig();
+  if (budget.source === "none") {
+    return null;
   }
+  // Without the ledger the repository limits can't be checked; run anyway
+  const repoEntry = hasRepoLimits(budget) ? await loadRepoBudget(context) : null;
+  const exceeded = checkBudget(budget, store.get(PR_LEDGER_KEY), repoEntry);
+  if (!exceeded) {
+    return null;
+  }
+  console.log(`ERROR: Budget used up: ${exceeded}`);
+  run.shouldRun = false;
+  return (
+    `⚠️ Not running: ${exceeded}. Raise the limits in \`${budget.source}\` to continue; ` +
+    `comment \`/budget\` for the spend so far.`
+  );
 }
 
-function parseAgentCommand(commentBody) {
-  // Match /agent <name> or /critique <name> commands
-  // Commands can appear anywhere in the comment
-  const agentMatch = commentBody.match(/\/agent\s+(\w+)/);
-  const critiqueMatch = commentBody.match(/\/critique\s+(\w+)/);
+/**
+ * Apply the commands found in a comment.
+ *
+ * Commands the commenter isn't allowed to run are rejected. Mutates `run`
+ * (the settings for this run) and `config` (persisted agent config), and
+ * returns the messages to acknowledge the commands with, each
+ * { kind: "ok" | "error" | "info", text }.
+ */
+async function applyCommands({ parsed, run, config, registry, comment, context }) {
+  const messages = [];
+  const ok = (text) => messages.push({ kind: "ok", text: `✅ ${text}` });
+  const fail = (text) => {
+    console.log(`ERROR: ${text}`);
+    messages.push({ kind: "error", text: `⚠️ ${text}` });
+  };
+  const info = (text) => messages.push({ kind: "info", text });
 
-  if (critiqueMatch) {
-    return {
-      type: "critique",
-      agent: critiqueMatch[1],
-    };
+  for (const error of parsed.errors) {
+    fail(`${error.message} in \`${error.raw}\`. Comment \`/help\` for the list of commands.`);
   }
 
-  if (agentMatch) {
-    return {
-      type: "agent",
-      agent: agentMatch[1],
-    };
+  let runCommand = null;
+  for (const command of parsed.commands) {
+    console.log(`Found command: ${command.raw}`);
+
+    const denied = await checkCommandPermission({
+      rules: context.permissions,
+      lookup: context.lookupPermission,
+      login: comment.user.login,
+      commandName: command.name,
+      // Only agents named explicitly need their own permission
+      agentName: command.args.name || command.flags.agent || null,
+    });
+    if (denied) {
+      fail(`Permission denied: ${denied}. Ignoring \`${command.raw}\`.`);
+      continue;
+    }
+
+    switch (command.name) {
+      case "agent": {
+        const { agent, error } = resolveAgent(registry, command.args.name, "primary");
+        if (error) {
+          fail(`${error}. Keeping \`${run.agent.name}\` as the primary agent.`);
+          break;
+        }
+        // Update config for primary agent switch. A one-time run command in
+        // the same comment keeps the agent it picked for this run.
+        if (!runCommand) {
+          run.agent = agent;
+        }
+        config.primary_agent = agent.name;
+        config.last_updated = new Date().toISOString();
+        config.updated_by = comment.user.login;
+        run.configChanged = true;
+        ok(
+          `Switched primary agent to \`${agent.name}\` (\`${agent.model}\`)` +
+            (runCommand ? `; this run still uses \`${run.agent.name}\`` : ""),
+        );
+        break;
+      }
+
+      case "critique":
+      case "plan":
+      case "retry": {
+        if (runCommand) {
+          fail(
+            `Only one of \`/critique\`, \`/plan\` or \`/retry\` can be used per comment; ignoring \`${command.raw}\``,
+          );
+          break;
+        }
+        runCommand = command;
+
+        const mode = command.name === "retry" ? "primary" : command.name;
+        const name = command.args.name || command.flags.agent || run.agent.name;
+        const { agent, error } = resolveAgent(registry, name, mode);
+        if (error) {
+          fail(`${error}. Running \`${run.agent.name}\` as usual instead.`);
+          break;
+        }
+        // One-time run (don't update config)
+        run.agent = agent;
+        run.mode = mode;
+        run.focus = command.flags.focus || null;
+
+        const what = {
+          critique: "a one-time critique",
+          plan: "a one-time planning pass",
+          primary: "the agent again",
+        }[mode];
+        ok(
+          `Running ${what} with \`${agent.name}\`` +
+            (run.focus ? `, focusing on: ${run.focus}` : ""),
+        );
+        break;
+      }
+
+      case "stop":
+        run.shouldRun = false;
+        run.stop = true;
+        break;
+
+      case "status":
+        info(formatStatus(registry, config, run.agent));
+        break;
+
+      case "budget": {
+        const budget = loadBudgetConfig();
+        info(
+          formatBudget(
+            budget,
+            context.store.get(PR_LEDGER_KEY),
+            hasRepoLimits(budget) ? await loadRepoBudget(context) : null,
+          ),
+        );
+        break;
+      }
+
+      case "help":
+        info(`**Laforge commands**\n\n${formatHelp(command.args.command)}`);
+        break;
+    }
+  }
+
+  // Comments that only ask for information don't start a run
+  if (
+    parsed.commands.length > 0 &&
+    parsed.commands.every((c) => c.runs === "info")
+  ) {
+    run.shouldRun = false;
+  }
+
+  if (run.stop) {
+    try {
+      await unassignUser(context.gitea, context.repoPath, context.prIndex, context.botLogin);
+      console.log(`Unassigned ${context.botLogin} from PR`);
+      ok("Stopped. Assign Laforge to this PR again to resume.");
+    } catch (error) {
+      fail(
+        `Skipping this run, but Laforge could not be unassigned (${error.message}); please remove it from the assignees.`,
+      );
+    }
   }
 
-  return null;
+  return messages;
 }
 
-function setOutput(name, value) {
-  // GitHub Actions compatible output format
-  console.log(`::set-output name=${name}::${value}`);
+/**
+ * Let the commenter know what happened to their commands: react to the
+ * comment (👍 if everything was applied, 😕 otherwise) and reply with the
+ * messages. With LAFORGE_COMMAND_ACK=reaction, successful commands are only
+ * acknowledged with the reaction; errors and /help or /status output are
+ * always posted.
+ */
+async function acknowledgeCommands(gitea, context, comment, messages) {
+  if (messages.length === 0) {
+    return;
+  }
 
-  // Also set as environment variable for subsequent steps
-  fs.appendFileSync(
-    process.env.GITHUB_OUTPUT || "/dev/null",
-    `${name}=${value}\n`,
-  );
+  const failed = messages.some((m) => m.kind === "error");
+  try {
+    await gitea.post(
+      `${context.repoPath}/issues/comments/${comment.id}/reactions`,
+      { content: failed ? "confused" : "+1" },
+    );
+  } catch (error) {
+    console.log(`Error adding reaction: ${error.message}`);
+  }
+
+  const replyAll = (process.env.LAFORGE_COMMAND_ACK || "reply") !== "reaction";
+  const replies = messages
+    .filter((m) => replyAll || m.kind !== "ok")
+    .map((m) => m.text);
+  if (replies.length === 0) {
+    return;
+  }
+
+  const body = `@${comment.user.login}\n\n${replies.join("\n\n")}`;
+  try {
+    await gitea.post(`${context.repoPath}/issues/${context.prIndex}/comments`, { body });
+    console.log("Posted command reply to PR");
+  } catch (error) {
+    console.log(`Error posting command reply: ${error.message}`);
+  }
 }
 
 async function main() {
-  const owner = process.env.GITEA_REPO_OWNER;
-  const fullRepo = process.env.GITEA_REPO_NAME;
-  const repo = fullRepo.split("/").pop();
-  const prIndex = process.env.PR_INDEX;
+  const { repoPath, prIndex } = getRepoContext();
   const commentId = process.env.COMMENT_ID;
+  const botLogin = process.env.LAFORGE_USER || "laforge";
+
+  const gitea = createGiteaClientFromEnv();
 
   console.log(`Parsing agent command for PR #${prIndex}...`);
   if (commentId) {
@@ -152,80 +418,145 @@ async function main() {
     console.log(`No COMMENT_ID provided, using primary agent from config`);
   }
 
+  const registry = loadAgentRegistry();
+  console.log(
+    `Agent registry (${registry.source}): ${agentNames(registry).join(", ")}`,
+  );
+
   // Read current agent config
-  const config = readAgentConfig();
+  const store = createStateStoreFromEnv({ gitea, repoPath, prIndex, botLogin });
+  try {
+    await store.load();
+  } catch (error) {
+    console.log(`ERROR: Could not load PR state: ${error.message}`);
+  }
+  const config = readAgentConfig(store, registry.defaultAgent);
   console.log(`Current primary agent: ${config.primary_agent}`);
 
-  // Default output values (use current primary agent)
-  let agentMode = "primary";
-  let agentName = config.primary_agent;
-  let modelId = AGENT_REGISTRY[agentName] || AGENT_REGISTRY[DEFAULT_AGENT];
+  // Default run settings (use current primary agent)
+  let primary = getAgent(registry, config.primary_agent);
+  if (!primary || !isModeAllowed(primary, "primary")) {
+    console.log(
+      `Primary agent '${config.primary_agent}' is not available as a primary agent, using '${registry.defaultAgent}'`,
+    );
+    primary = getAgent(registry, registry.defaultAgent);
+  }
+  const run = {
+    shouldRun: true,
+    mode: "primary",
+    agent: primary,
+    focus: null,
+    configChanged: false,
+    stop: false,
+  };
+
+  const context = {
+    gitea,
+    repoPath,
+    prIndex,
+    botLogin,
+    store,
+    permissions: null,
+    lookupPermission: null,
+  };
 
   // Only parse comments if COMMENT_ID is provided (issue_comment event)
   // For other events (PR open/reopen), use the primary agent from config
+  let comment = null;
+  let messages = [];
   if (commentId) {
     try {
       // Fetch the specific comment that triggered this workflow
-      const comment = await fetchGiteaAPI(
-        `/repos/${owner}/${repo}/issues/comments/${commentId}`,
-      );
+      comment = await gitea.get(`${repoPath}/issues/comments/${commentId}`);
+    } catch (error) {
+      console.log(`Error fetching comment: ${error.message}`);
+      console.log("Using current primary agent from config");
+    }
 
-      const command = parseAgentCommand(comment.body);
+    // Posting and editing the live progress comment must not start runs
+    if (comment && isProgressComment(comment, progressLogin())) {
+      console.log("Triggered by a progress comment, skipping the run");
+      run.shouldRun = false;
+      setAgentOutputs(run);
+      return;
+    }
 
-      if (command) {
-        console.log(`Found command: /${command.type} ${command.agent}`);
+    if (comment) {
+      const parsed = parseCommands(comment.body);
+      if (parsed.commands.length === 0 && parsed.errors.length === 0) {
+        console.log(`No commands found in comment, using primary agent`);
+      }
 
-        // Validate agent name
-        if (!AGENT_REGISTRY[command.agent]) {
-          const validAgents = Object.keys(AGENT_REGISTRY).join(", ");
-          console.log(
-            `ERROR: Invalid agent name '${command.agent}'. Valid options: ${validAgents}`,
-          );
-          // Use primary agent from config on invalid command
-        } else {
-          // Set agent based on command type
-          agentName = command.agent;
-          modelId = AGENT_REGISTRY[agentName];
-
-          if (command.type === "agent") {
-            // Update config for primary agent switch
-            agentMode = "primary";
-            config.primary_agent = agentName;
-            config.last_updated = new Date().toISOString();
-            config.updated_by = comment.user.login;
-            writeAgentConfig(config);
-          } else if (command.type === "critique") {
-            // One-time critique mode (don't update config)
-            agentMode = "critique";
-          }
+      context.permissions = loadPermissionRules();
+      context.lookupPermission = createPermissionLookup(gitea, repoPath, comment.user.login);
+      messages = await applyCommands({
+        parsed,
+        run,
+        config,
+        registry,
+        comment,
+        context,
+      });
+
+      if (run.configChanged) {
+        writeAgentConfig(store, config);
+        try {
+          await store.save();
+        } catch (error) {
+          console.log(`ERROR: Could not save agent config: ${error.message}`);
+          messages.push({
+            kind: "error",
+            text: `⚠️ The new primary agent applies to this run only; it could not be saved (${error.message}).`,
+          });
         }
-      } else {
-        console.log(`No agent command found in comment, using primary agent`);
       }
+    }
+  }
+
+  const budgetMessage = await enforceBudget(run, store, context);
+  if (comment) {
+    if (budgetMessage) {
+      messages.push({ kind: "error", text: budgetMessage });
+    }
+    await acknowledgeCommands(gitea, context, comment, messages);
+  } else if (budgetMessage) {
+    try {
+      await gitea.post(`${repoPath}/issues/${prIndex}/comments`, { body: budgetMessage });
     } catch (error) {
-      console.log(`Error fetching comment: ${error.message}`);
-      console.log("Using current primary agent from config");
+      console.log(`Error posting budget notice: ${error.message}`);
     }
   }
 
-  // Set outputs for workflow
-  console.log(`Agent mode: ${agentMode}`);
-  console.log(`Agent name: ${agentName}`);
-  console.log(`Model ID: ${modelId}`);
+  // Persist a migrated config even when no command changed it
+  try {
+    await store.save();
+  } catch (error) {
+    console.log(`ERROR: Could not save PR state: ${error.message}`);
+  }
 
-  setOutput("agent_mode", agentMode);
-  setOutput("agent_name", agentName);
-  setOutput("model_id", modelId);
+  // Set outputs for workflow
+  setAgentOutputs(run);
 }
 
-main().catch((error) => {
-  console.error("Fatal error:", error);
+// Run only when executed directly, so the tests can load applyCommands
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("Fatal error:", error);
+
+    // Fall back to the built-in default agent on error
+    const fallbackName = BUILTIN_CONFIG.default_agent;
+    const fallback = BUILTIN_CONFIG.agents[fallbackName];
+    setAgentOutputs({
+      shouldRun: true,
+      mode: "primary",
+      agent: { name: fallbackName, ...fallback },
+      focus: null,
+    });
 
-  // Fall back to default agent on error
-  const defaultModelId = AGENT_REGISTRY[DEFAULT_AGENT];
-  setOutput("agent_mode", "primary");
-  setOutput("agent_name", DEFAULT_AGENT);
-  setOutput("model_id", defaultModelId);
+    process.exit(0); // Exit successfully to allow workflow to continue with defaults
+  });
+}
 
-  process.exit(0); // Exit successfully to allow workflow to continue with defaults
-});
+module.exports = {
+  applyCommands,
+};
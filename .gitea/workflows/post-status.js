@@ -1,12 +1,39 @@
 /**
- * Post status from .pr/status.yaml (or fallback to .pr/status.md)
+ * Post status from .pr/status.yaml
  *
- * This script reads .pr/status.yaml and:
- * - Posts the 'status' field as a PR comment
- * - Posts any 'file_comments' as line comments on specific files
- * - Unassigns laforge as assignee if 'unassign' is true
+ * This script reads .pr/status.yaml (see lib/status-file.js for the schema)
+ * and:
+ * - Posts the 'status' field as a PR comment, or with
+ *   LAFORGE_STATUS_MODE=sticky, adds it to the single "Laforge status" comment
+ *   (see lib/status-comment.js). A status with 'needs_input: true' is always
+ *   posted as a new comment as well, so the people on the PR are notified.
+ * - Submits one review holding all 'file_comments' as line comments, with the
+ *   'review' body and verdict (COMMENT by default, APPROVE or REQUEST_CHANGES)
+ * - Applies the requested PR actions: add/remove 'labels', request
+ *   'reviewers', replace the 'title' or 'description', set a 'commit_status'
+ *   on the head commit, and remove laforge (only) from the assignees if
+ *   'unassign' is true
  *
- * Falls back to .pr/status.md for backwards compatibility.
+ * File comments use real file line numbers (new file by default, `side: old`
+ * for removed lines, `end_line` for ranges). They are checked against the PR
+ * diff: Gitea can only attach comments to lines inside a hunk, so comments on
+ * other lines are quoted, with the file and line, in the review body instead.
+ *
+ * The file is validated before anything is posted. If it is invalid, every
+ * problem is listed in the log and in a PR comment, nothing else is posted
+ * and the script exits with a non-zero status.
+ *
+ * Usage: node post-status.js [--dry-run]
+ *
+ * Text fields may use template variables such as {{SHORT_SHA}}, {{PR_URL}} or
+ * {{FILE_LINK path#L10}} (see lib/template.js); unknown placeholders make the
+ * file invalid.
+ *
+ * Secrets in the text fields and in quoted excerpts (tokens, keys,
+ * passwords; see lib/redact.js) are redacted before anything is posted.
+ *
+ * With --dry-run, the API calls that would change the PR are printed instead
+ * of sent (the PR itself is still read to fill in the template variables).
  *
  * Required environment variables:
  * - GITEA_TOKEN: API token for authentication
@@ -14,203 +41,412 @@
  * - GITEA_REPO_OWNER: Repository owner
  * - GITEA_REPO_NAME: Repository name
  * - PR_INDEX: Pull request number
+ *
+ * Optional environment variables:
+ * - LAFORGE_STATUS_MODE: "new" (default) to post every status as a new
+ *   comment, or "sticky" to keep one status comment up to date
+ * - LAFORGE_USER: Login of the Laforge bot user (default "laforge")
+ * - AGENT_NAME, MODELNAME, RUN_URL: Values of the matching template variables
+ * - LAFORGE_REDACTION_CONFIG: Custom redaction rules (default
+ *   .laforge/redaction.yaml)
  */
 
-const http = require("http");
-const https = require("https");
 const fs = require("fs");
-const yaml = require("js-yaml");
+const { createGiteaClientFromEnv, getRepoContext } = require("./lib/gitea-api");
+const { parseUnifiedDiff, findDiffLine } = require("./lib/diff");
+const {
+  STATUS_FILE_PATH,
+  loadStatusFile,
+  formatStatusErrors,
+} = require("./lib/status-file");
+const {
+  isStatusComment,
+  parseStatusComment,
+  formatStatusComment,
+} = require("./lib/status-comment");
+const {
+  unassignUser,
+  updateLabels,
+  requestReviewers,
+  editPullRequest,
+  setCommitStatus,
+} = require("./lib/pr-actions");
+const { createTemplateContext, renderTemplate } = require("./lib/template");
+const { createRedactor } = require("./lib/redact");
 
-function makeApiRequest(path, method, body) {
-  return new Promise((resolve, reject) => {
-    const token = process.env.GITEA_TOKEN;
-    const baseUrl = process.env.GITEA_API_URL;
+const dryRun = process.argv.includes("--dry-run");
+const gitea = createGiteaClientFromEnv({ dryRun });
+const redactor = createRedactor();
 
-    const url = new URL(baseUrl);
-    const fullPath = url.pathname + path;
+// Longest excerpt of the working tree quoted for a comment outside the diff
+const MAX_EXCERPT_LINES = 15;
+
+function defaultReviewBody(fileComments) {
+  return `Laforge left ${fileComments.length} comment(s) on the changes.`;
+}
 
-    console.log(`${method} ${baseUrl}${path}...`);
+// e.g. "src/a.js:10-12", or "src/a.js:7 (old)" for old-file line numbers
+function describeFileCommentLines(fc) {
+  const lines = fc.end_line > fc.line ? `${fc.line}-${fc.end_line}` : `${fc.line}`;
+  return `${fc.file}:${lines}${fc.side === "old" ? " (old)" : ""}`;
+}
 
-    const bodyStr = body ? JSON.stringify(body) : "";
+/**
+ * Turn a file comment into a Gitea review comment. Gitea anchors review
+ * comments to a line number on one side of the diff (`new_position` or
+ * `old_position`), and only lines inside a hunk can be commented on; ranges
+ * are anchored on their last line in the diff.
+ *
+ * Returns null if no line of the comment is part of the diff. Without a
+ * diff, the comment is passed through unchecked.
+ */
+function toReviewComment(diffFiles, fc) {
+  const body =
+    fc.end_line > fc.line
+      ? `_Lines ${fc.line}-${fc.end_line}:_\n\n${fc.comment}`
+      : fc.comment;
 
-    const options = {
-      hostname: url.hostname,
-      port: url.port,
-      path: fullPath,
-      method: method,
-      headers: {
-        Authorization: `token ${token}`,
-        Accept: "application/json",
-        "Content-Type": "application/json",
-      },
+  if (!diffFiles) {
+    return {
+      path: fc.file,
+      body,
+      new_position: fc.side === "old" ? 0 : fc.end_line,
+      old_position: fc.side === "old" ? fc.end_line : 0,
     };
+  }
 
-    if (bodyStr) {
-      options.headers["Content-Length"] = Buffer.byteLength(bodyStr);
+  for (let line = fc.end_line; line >= fc.line; line--) {
+    const found = findDiffLine(diffFiles, fc.file, line, fc.side);
+    if (!found) {
+      continue;
     }
+    // Context lines exist on both sides; Gitea shows them on the new side
+    const removed = found.line.type === "del";
+    return {
+      path: found.file.path,
+      body,
+      new_position: removed ? 0 : found.line.newLine,
+      old_position: removed ? found.line.oldLine : 0,
+    };
+  }
+  return null;
+}
 
-    const protocol = url.protocol === "https:" ? https : http;
-    const req = protocol.request(options, (res) => {
-      let data = "";
-      res.on("data", (chunk) => {
-        data += chunk;
-      });
-      res.on("end", () => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          resolve(data ? JSON.parse(data) : null);
-        } else {
-          reject(new Error(`HTTP ${res.statusCode}: ${data}`));
-        }
-      });
+// Quote the commented lines from the checkout, when they are available
+function readExcerpt(fc) {
+  if (fc.side === "old" || !fs.existsSync(fc.file)) {
+    return null;
+  }
+  try {
+    const lines = fs.readFileSync(fc.file, "utf8").split("\n");
+    const end = Math.min(fc.end_line, fc.line + MAX_EXCERPT_LINES - 1);
+    const excerpt = lines.slice(fc.line - 1, end);
+    return excerpt.length > 0 ? redactor.redact(excerpt.join("\n"), { code: true }) : null;
+  } catch (error) {
+    console.log(`Could not read ${fc.file}: ${error.message}`);
+    return null;
+  }
+}
+
+// Quote file comments in a plain review body, for when they can't be
+// attached to lines
+function formatFileCommentsAsText(fileComments) {
+  return fileComments
+    .map((fc) => {
+      let text = `**${describeFileCommentLines(fc)}**\n`;
+      const excerpt = readExcerpt(fc);
+      if (excerpt !== null) {
+        text += "```\n" + excerpt + "\n```\n";
+      }
+      return text + fc.comment;
+    })
+    .join("\n\n");
+}
+
+/**
+ * Add the status to the sticky status comment, creating it on the first run.
+ */
+async function updateStickyStatus(repoPath, prIndex, headSha, text, botLogin) {
+  const comments = await gitea.getAll(`${repoPath}/issues/${prIndex}/comments`);
+  const existing = comments.filter((c) => isStatusComment(c, botLogin)).pop();
+
+  const entry = { text, sha: headSha, date: new Date().toISOString() };
+  const entries = [entry, ...(existing ? parseStatusComment(existing.body) : [])];
+  const body = formatStatusComment(entries);
+
+  if (existing) {
+    await gitea.patch(`${repoPath}/issues/comments/${existing.id}`, { body });
+    console.log(`Updated status comment ${existing.id}`);
+  } else {
+    await gitea.post(`${repoPath}/issues/${prIndex}/comments`, { body });
+    console.log("Status comment posted to PR");
+  }
+}
+
+async function fetchDiffFiles(repoPath, prIndex) {
+  try {
+    const diff = await gitea.get(`${repoPath}/pulls/${prIndex}.diff`, {
+      responseType: "text",
     });
+    return parseUnifiedDiff(diff);
+  } catch (error) {
+    console.log(
+      `ERROR: Could not fetch the PR diff, posting file comments unchecked: ${error.message}`,
+    );
+    return null;
+  }
+}
+
+/**
+ * Submit one review with every file comment that can be attached to a line,
+ * and the others quoted in the review body. If Gitea still rejects the
+ * inline comments, the review is submitted again with all comments quoted in
+ * its body, so none are lost.
+ */
+async function submitReview(repoPath, prIndex, headSha, statusData) {
+  const fileComments = statusData.file_comments;
+  const review = statusData.review || {};
+  const event = review.event || "COMMENT";
+  const body =
+    review.body || (fileComments.length > 0 ? defaultReviewBody(fileComments) : "");
+
+  // Gitea rejects comment and request-changes reviews with neither a body nor
+  // line comments; only approvals may be empty
+  if (event !== "APPROVE" && !body) {
+    console.log(`${event} review has no body and no file comments, not submitting it`);
+    return;
+  }
 
-    req.on("error", reject);
-    if (bodyStr) {
-      req.write(bodyStr);
+  const diffFiles =
+    fileComments.length > 0 ? await fetchDiffFiles(repoPath, prIndex) : null;
+  const inline = [];
+  const outsideDiff = [];
+  for (const fc of fileComments) {
+    const comment = toReviewComment(diffFiles, fc);
+    if (comment) {
+      inline.push(comment);
+    } else {
+      console.log(
+        `${describeFileCommentLines(fc)} is not part of the diff; quoting it in the review body`,
+      );
+      outsideDiff.push(fc);
+    }
+  }
+
+  console.log(
+    `Submitting ${event} review with ${inline.length} line comment(s)...`,
+  );
+  try {
+    await gitea.post(`${repoPath}/pulls/${prIndex}/reviews`, {
+      body:
+        outsideDiff.length > 0
+          ? [
+              body,
+              "**Comments on lines outside the diff:**",
+              formatFileCommentsAsText(outsideDiff),
+            ].join("\n\n")
+          : body,
+      event,
+      commit_id: headSha,
+      comments: inline,
+    });
+    console.log(`Submitted ${event} review`);
+    return;
+  } catch (error) {
+    if (inline.length === 0) {
+      throw error;
     }
-    req.end();
+    console.log(
+      `ERROR: Could not submit review with line comments: ${error.message}`,
+    );
+  }
+
+  console.log("Submitting the review with the file comments in its body instead");
+  await gitea.post(`${repoPath}/pulls/${prIndex}/reviews`, {
+    body: [body, formatFileCommentsAsText(fileComments)].join("\n\n"),
+    event,
+    commit_id: headSha,
   });
+  console.log(`Submitted ${event} review`);
 }
 
-function postGiteaAPI(path, body) {
-  return makeApiRequest(path, "POST", body);
-}
+/**
+ * Render the template variables in every text field of the status, in place.
+ * Returns the template errors, prefixed with the field they occur in.
+ */
+function renderStatusTemplates(statusData, context) {
+  const errors = [];
+  const render = (text, path) => {
+    const result = renderTemplate(text, context);
+    errors.push(...result.errors.map((e) => `${path}: ${e}`));
+    return result.text;
+  };
 
-function deleteGiteaAPI(path, body) {
-  return makeApiRequest(path, "DELETE", body);
+  statusData.status = render(statusData.status, "status");
+  statusData.file_comments.forEach((fc, i) => {
+    fc.comment = render(fc.comment, `file_comments[${i}].comment`);
+  });
+  if (statusData.review && statusData.review.body) {
+    statusData.review.body = render(statusData.review.body, "review.body");
+  }
+  if (statusData.title !== undefined) {
+    statusData.title = render(statusData.title, "title");
+  }
+  if (statusData.description !== undefined) {
+    statusData.description = render(statusData.description, "description");
+  }
+  if (statusData.commit_status) {
+    for (const field of ["description", "target_url"]) {
+      if (statusData.commit_status[field]) {
+        statusData.commit_status[field] = render(
+          statusData.commit_status[field],
+          `commit_status.${field}`,
+        );
+      }
+    }
+  }
+  return errors;
 }
 
-function patchGiteaAPI(path, body) {
-  return makeApiRequest(path, "PATCH", body);
+/**
+ * Redact secrets in every text field of the status, in place.
+ */
+function redactStatus(statusData) {
+  statusData.status = redactor.redact(statusData.status);
+  for (const fc of statusData.file_comments) {
+    fc.comment = redactor.redact(fc.comment);
+  }
+  if (statusData.review && statusData.review.body) {
+    statusData.review.body = redactor.redact(statusData.review.body);
+  }
+  statusData.title = redactor.redact(statusData.title);
+  statusData.description = redactor.redact(statusData.description);
+  if (statusData.commit_status && statusData.commit_status.description) {
+    statusData.commit_status.description = redactor.redact(statusData.commit_status.description);
+  }
 }
 
-function getGiteaAPI(path) {
-  return makeApiRequest(path, "GET", null);
+// Log the problems with the status file, post them on the PR and fail the step
+async function reportInvalidStatus(repoPath, prIndex, errors) {
+  console.log(`ERROR: ${STATUS_FILE_PATH} is invalid:`);
+  for (const error of errors) {
+    console.log(`ERROR:   ${error}`);
+  }
+  await gitea.post(`${repoPath}/issues/${prIndex}/comments`, {
+    body: redactor.redact(formatStatusErrors(errors)),
+  });
+  console.log("Posted status file errors to PR");
+  process.exitCode = 1;
 }
 
 async function main() {
-  const yamlStatusFile = ".pr/status.yaml";
-  const mdStatusFile = ".pr/status.md";
+  const { repoPath, prIndex } = getRepoContext();
+  const botLogin = process.env.LAFORGE_USER || "laforge";
+  if (dryRun) {
+    console.log("Dry run: changes to the PR are printed, not sent");
+  }
 
-  const owner = process.env.GITEA_REPO_OWNER;
-  const fullRepo = process.env.GITEA_REPO_NAME;
-  const repo = fullRepo.split("/").pop(); // Extract just the repo name
-  const prIndex = process.env.PR_INDEX;
+  const { found, status: statusData, errors } = loadStatusFile();
+  if (!found) {
+    console.log("No status file found, skipping status post");
+    return;
+  }
+  if (errors.length > 0) {
+    await reportInvalidStatus(repoPath, prIndex, errors);
+    return;
+  }
+  console.log(`Found ${STATUS_FILE_PATH}, using structured format`);
 
   // Get PR data to retrieve the commit SHA
-  const prData = await getGiteaAPI(`/repos/${owner}/${repo}/pulls/${prIndex}`);
+  const prData = await gitea.get(`${repoPath}/pulls/${prIndex}`);
   const headSha = prData.head.sha;
   console.log(`PR HEAD commit SHA: ${headSha}`);
 
-  let statusData = null;
-
-  // Check for YAML file first (new format)
-  if (fs.existsSync(yamlStatusFile)) {
-    const yamlContent = fs.readFileSync(yamlStatusFile, "utf8");
-    try {
-      statusData = yaml.load(yamlContent);
-      // Ensure default values if not provided
-      console.log("Found .pr/status.yaml, using structured format");
-      if (!statusData.file_comments) {
-        statusData.file_comments = [];
-      }
-      if (!statusData.unassign) {
-        statusData.unassign = false;
-      }
-    } catch (error) {
-      // If parsing fails, continue with the content as a string
-      console.log(
-        "Found .pr/status.yaml not in YAML format; using as status message",
-      );
-      statusData = {
-        status: yamlContent,
-        file_comments: [],
-        unassign: false,
-      };
-    }
-  } else {
-    console.log("No status file found, skipping status post");
+  // Fill in template variables ({{COMMIT_SHA}}, {{FILE_LINK ...}}, ...)
+  const templateErrors = renderStatusTemplates(
+    statusData,
+    createTemplateContext({ pr: prData }),
+  );
+  if (templateErrors.length > 0) {
+    await reportInvalidStatus(repoPath, prIndex, templateErrors);
     return;
   }
-
-  // Replace {{COMMIT_SHA}} placeholder in status and file comments
-  if (statusData.status) {
-    statusData.status = statusData.status.replace(
-      /\{\{COMMIT_SHA\}\}/g,
-      headSha,
-    );
-  }
-  if (statusData.file_comments) {
-    statusData.file_comments = statusData.file_comments.map((fc) => ({
-      ...fc,
-      comment: fc.comment
-        ? fc.comment.replace(/\{\{COMMIT_SHA\}\}/g, headSha)
-        : fc.comment,
-    }));
-  }
+  redactStatus(statusData);
 
   // Post status comment if present
   if (statusData.status) {
-    await postGiteaAPI(`/repos/${owner}/${repo}/issues/${prIndex}/comments`, {
-      body: statusData.status,
-    });
-    console.log("Status comment posted to PR");
+    const sticky = (process.env.LAFORGE_STATUS_MODE || "new") === "sticky";
+    if (!sticky || statusData.needs_input) {
+      await gitea.post(`${repoPath}/issues/${prIndex}/comments`, {
+        body: statusData.status,
+      });
+      console.log("Status comment posted to PR");
+    }
+    if (sticky) {
+      await updateStickyStatus(repoPath, prIndex, headSha, statusData.status, botLogin);
+    }
   }
 
-  // Post file comments if present
-  if (statusData.file_comments && statusData.file_comments.length > 0) {
-    console.log(
-      `Processing ${statusData.file_comments.length} file comment(s)...`,
-    );
-
-    for (const fileComment of statusData.file_comments) {
-      if (!fileComment.file || !fileComment.line || !fileComment.comment) {
-        console.warn(
-          "Skipping invalid file comment (missing file, line, or comment):",
-          fileComment,
-        );
-        continue;
-      }
-
-      try {
-        // Post as a review comment on the specific line
-        // Note: Gitea uses 'new_position' for line numbers in the diff
-        await postGiteaAPI(`/repos/${owner}/${repo}/pulls/${prIndex}/reviews`, {
-          body: fileComment.comment,
-          event: "COMMENT",
-          comments: [
-            {
-              path: fileComment.file,
-              body: fileComment.comment,
-              new_position: parseInt(fileComment.line),
-            },
-          ],
-        });
-        console.log(
-          `Posted comment on ${fileComment.file}:${fileComment.line}`,
-        );
-      } catch (error) {
-        console.error(
-          `Failed to post comment on ${fileComment.file}:${fileComment.line}:`,
-          error.message,
-        );
-        // Continue with other comments even if one fails
-      }
-    }
+  // Submit all file comments and the verdict as a single review
+  if (statusData.file_comments.length > 0 || statusData.review) {
+    await submitReview(repoPath, prIndex, headSha, statusData);
   }
 
-  // Handle unassign if requested
+  // Apply the PR actions; a failed action is logged and doesn't stop the others
+  const actions = [];
+  const { add, remove } = statusData.labels;
+  if (add.length > 0 || remove.length > 0) {
+    actions.push([
+      `Updated labels (added: ${add.join(", ") || "none"}, removed: ${remove.join(", ") || "none"})`,
+      () => updateLabels(gitea, repoPath, prIndex, statusData.labels),
+    ]);
+  }
+  if (statusData.reviewers.length > 0) {
+    actions.push([
+      `Requested review from ${statusData.reviewers.join(", ")}`,
+      () => requestReviewers(gitea, repoPath, prIndex, statusData.reviewers),
+    ]);
+  }
+  if (statusData.title !== undefined || statusData.description !== undefined) {
+    actions.push([
+      "Updated PR title/description",
+      () =>
+        editPullRequest(gitea, repoPath, prIndex, {
+          title: statusData.title,
+          body: statusData.description,
+        }),
+    ]);
+  }
+  if (statusData.commit_status) {
+    const { state, context } = statusData.commit_status;
+    actions.push([
+      `Set commit status ${context}: ${state} on ${headSha}`,
+      () => setCommitStatus(gitea, repoPath, headSha, statusData.commit_status),
+    ]);
+  }
   if (statusData.unassign) {
+    actions.push([
+      `Unassigned ${botLogin} from PR`,
+      async () => {
+        if (!(await unassignUser(gitea, repoPath, prIndex, botLogin))) {
+          console.log(`${botLogin} was not assigned`);
+        }
+      },
+    ]);
+  }
+
+  for (const [description, action] of actions) {
     try {
-      await patchGiteaAPI(`/repos/${owner}/${repo}/issues/${prIndex}`, {
-        assignees: [],
-      });
-      console.log("Unassigned laforge from PR");
+      await action();
+      console.log(description);
     } catch (error) {
-      console.error("Failed to unassign laforge:", error.message);
+      console.log(`ERROR: Failed: ${description}: ${error.message}`);
     }
   }
 
+  if (redactor.count() > 0) {
+    console.log(`Redacted ${redactor.count()} secret(s) from the posted text`);
+  }
   console.log("Status processing completed successfully");
 }
 
@@ -0,0 +1,78 @@
+/**
+ * Record the cost of an agent run in the budget ledgers
+ *
+ * Runs after the agent, whether or not it succeeded, and adds the cost and
+ * token usage from .pr/run-report.json (written by the output formatter) to
+ * the PR ledger and, when `.laforge/budget.yaml` on the base branch sets
+ * monthly repository limits, this month's repository ledger (see
+ * lib/budget.js). parse-agent-command.js checks the ledgers against the
+ * limits before the next run.
+ *
+ * Required environment variables:
+ * - GITEA_TOKEN: API token for authentication
+ * - GITEA_API_URL: Base URL for the Gitea API
+ * - GITEA_REPO_OWNER: Repository owner
+ * - GITEA_REPO_NAME: Repository name
+ * - PR_INDEX: Pull request number
+ *
+ * Optional environment variables:
+ * - AGENT_NAME: Agent the run used, for the per-agent breakdown
+ * - PR_BASE_REF: Base branch of the PR, which the budget limits are read from
+ * - LAFORGE_USER: Login of the Laforge bot user (default "laforge")
+ * - LAFORGE_STATE_STORE: "comment" (default) or "file"; see lib/pr-state.js
+ */
+
+const { createGiteaClientFromEnv, getRepoContext } = require("./lib/gitea-api");
+const { readRunReport } = require("./lib/run-report");
+const { createStateStoreFromEnv } = require("./lib/pr-state");
+const {
+  PR_LEDGER_KEY,
+  loadBudgetConfig,
+  hasRepoLimits,
+  recordRun,
+  usageFromReport,
+  createRepoLedger,
+} = require("./lib/budget");
+
+async function main() {
+  const { repoPath, prIndex } = getRepoContext();
+  const botLogin = process.env.LAFORGE_USER || "laforge";
+  const gitea = createGiteaClientFromEnv();
+
+  const report = readRunReport();
+  if (!report) {
+    console.log("No run report found, nothing to record");
+    return;
+  }
+  const usage = usageFromReport(report, process.env.AGENT_NAME || null);
+  console.log(
+    `Run used $${usage.costUsd.toFixed(4)}, ${usage.inputTokens} input and ${usage.outputTokens} output tokens`,
+  );
+
+  const store = createStateStoreFromEnv({ gitea, repoPath, prIndex, botLogin });
+  try {
+    await store.load();
+    store.set(PR_LEDGER_KEY, recordRun(store.get(PR_LEDGER_KEY), usage));
+    await store.save();
+  } catch (error) {
+    console.log(`ERROR: Could not update the PR budget ledger: ${error.message}`);
+  }
+
+  // The repository ledger is an issue of its own, only kept when it's needed
+  if (!hasRepoLimits(loadBudgetConfig())) {
+    return;
+  }
+  const ledger = createRepoLedger({ gitea, repoPath, prIndex, botLogin });
+  try {
+    await ledger.load();
+    ledger.record(usage);
+    await ledger.save();
+  } catch (error) {
+    console.log(`ERROR: Could not update the repository budget ledger: ${error.message}`);
+  }
+}
+
+main().catch((error) => {
+  console.error("Error recording run cost:", error);
+  process.exit(1);
+});
@@ -0,0 +1,47 @@
+/**
+ * Save the run cursor once the agent has finished
+ *
+ * fetch-pr.js writes the cursor of the current run (what it had seen of the
+ * PR) to .pr/run-cursor.json. This script runs after the agent completed and
+ * moves it into the PR state store (see lib/pr-state.js), where the next run's
+ * fetch-pr.js reads it to write .pr/new-activity.md. The file itself is never
+ * committed. See lib/new-activity.js.
+ *
+ * Required environment variables:
+ * - GITEA_TOKEN: API token for authentication
+ * - GITEA_API_URL: Base URL for the Gitea API
+ * - GITEA_REPO_OWNER: Repository owner
+ * - GITEA_REPO_NAME: Repository name
+ * - PR_INDEX: Pull request number
+ *
+ * Optional environment variables:
+ * - LAFORGE_USER: Login of the Laforge bot user (default "laforge")
+ * - LAFORGE_STATE_STORE: "comment" (default) or "file"; see lib/pr-state.js
+ */
+
+const { createGiteaClientFromEnv, getRepoContext } = require("./lib/gitea-api");
+const { createStateStoreFromEnv } = require("./lib/pr-state");
+const { RUN_CURSOR_KEY, readRunCursor } = require("./lib/new-activity");
+
+async function main() {
+  const { repoPath, prIndex } = getRepoContext();
+  const botLogin = process.env.LAFORGE_USER || "laforge";
+  const gitea = createGiteaClientFromEnv();
+
+  const cursor = readRunCursor();
+  if (!cursor) {
+    console.log("No run cursor found, nothing to save");
+    return;
+  }
+
+  const store = createStateStoreFromEnv({ gitea, repoPath, prIndex, botLogin });
+  await store.load();
+  store.set(RUN_CURSOR_KEY, cursor);
+  await store.save();
+  console.log(`Saved run cursor (head ${cursor.head_sha}, ${cursor.timestamp})`);
+}
+
+main().catch((error) => {
+  console.error("Error saving run cursor:", error);
+  process.exit(1);
+});
@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { stripNonCommandText, tokenize, parseCommands } = require("../lib/commands");
+const { BUILTIN_CONFIG, buildRegistry } = require("../lib/agent-registry");
+const { DEFAULT_RULES } = require("../lib/permissions");
+const { applyCommands } = require("../parse-agent-command");
+
+function names(body) {
+  return parseCommands(body).commands.map((c) => c.name);
+}
+
+test("stripNonCommandText drops fenced code, quotes and inline code", () => {
+  const body = [
+    "/plan",
+    "```",
+    "/stop",
+    "```",
+    "~~~~",
+    "```",
+    "/stop",
+    "~~~~",
+    "> /stop",
+    "  > /agent opus",
+    "Use `/stop` to halt",
+  ].join("\n");
+  assert.strictEqual(stripNonCommandText(body), "/plan\nUse  to halt");
+});
+
+test("stripNonCommandText ignores an unterminated fence to the end", () => {
+  assert.strictEqual(stripNonCommandText("/status\n```\n/stop"), "/status");
+});
+
+test("commands in code and quotes are not run", () => {
+  const body = [
+    "Thanks! As you said:",
+    "> /stop",
+    "```sh",
+    "/agent opus",
+    "```",
+    "`/retry` works too",
+    "/critique sonnet",
+  ].join("\r\n");
+  assert.deepStrictEqual(names(body), ["critique"]);
+});
+
+test("tokenize honors single and double quotes", () => {
+  assert.deepStrictEqual(tokenize(`a "b c" 'd e'`), ["a", "b c", "d e"]);
+  assert.deepStrictEqual(tokenize(`--focus="error handling" x`), ["--focus=error handling", "x"]);
+  assert.deepStrictEqual(tokenize(`"say \\"hi\\""`), ['say "hi"']);
+  assert.deepStrictEqual(tokenize(`'no \\escape'`), ["no \\escape"]);
+  assert.deepStrictEqual(tokenize(`""`), [""]);
+  assert.deepStrictEqual(tokenize("   "), []);
+});
+
+test("parseCommands reads arguments and flags", () => {
+  const { commands, errors } = parseCommands(
+    `/critique opus --focus="error handling"\n/retry --agent=sonnet\n/AGENT Opus`,
+  );
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(
+    commands.map((c) => [c.name, c.args, c.flags, c.runs]),
+    [
+      ["critique", { name: "opus" }, { focus: "error handling" }, "run"],
+      ["retry", {}, { agent: "sonnet" }, "run"],
+      ["agent", { name: "Opus" }, {}, "config"],
+    ],
+  );
+});
+
+test("parseCommands reports unknown commands and bad arguments", () => {
+  const { commands, errors } = parseCommands(
+    "/deploy now\n/agent\n/status extra\n/critique --focus\n/retry --model=x",
+  );
+  assert.deepStrictEqual(commands, []);
+  assert.deepStrictEqual(
+    errors.map((e) => e.message),
+    [
+      "Unknown command `/deploy`",
+      "Missing argument <name> for `/agent`",
+      "Too many arguments for `/status`",
+      "Flag `--focus` needs a value (`--focus=...`)",
+      "Unknown flag `--model` for `/retry`",
+    ],
+  );
+});
+
+test("only lines starting with a command count", () => {
+  assert.deepStrictEqual(names("please /stop now\n/stop/\nhttps://x/stop\n  /stop"), ["stop"]);
+});
+
+test("/agent after a run command keeps that run's agent", async (t) => {
+  t.mock.method(console, "log", () => {});
+  const registry = buildRegistry(BUILTIN_CONFIG, "built-in");
+  const run = { shouldRun: true, mode: "primary", agent: registry.agents.qwen, focus: null };
+  const config = { primary_agent: "qwen" };
+  const messages = await applyCommands({
+    parsed: parseCommands("/critique opus\n/agent sonnet"),
+    run,
+    config,
+    registry,
+    comment: { user: { login: "alice" } },
+    context: { permissions: DEFAULT_RULES, lookupPermission: async () => "write" },
+  });
+  assert.deepStrictEqual([run.mode, run.agent.name, config.primary_agent], ["critique", "opus", "sonnet"]);
+  assert.deepStrictEqual(
+    messages.map((m) => m.kind),
+    ["ok", "ok"],
+  );
+});
@@ -0,0 +1,135 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  parseHunkHeader,
+  parseUnifiedDiff,
+  lastHunkLine,
+  findDiffLine,
+} = require("../lib/diff");
+
+const DIFF = `diff --git a/src/app.js b/src/app.js
+index 1111111..2222222 100644
+--- a/src/app.js
++++ b/src/app.js
+@@ -1,4 +1,5 @@
+ const a = 1;
+-const b = 2;
++const b = 3;
++const c = 4;
+
+ module.exports = a;
+@@ -20,3 +21,3 @@ function run() {
+ start();
+-stop();
++halt();
+ done();
+\\ No newline at end of file
+diff --git a/old.txt b/new.txt
+similarity index 90%
+rename from old.txt
+rename to new.txt
+--- a/old.txt
++++ b/new.txt
+@@ -1 +1 @@
+-hello
++hello world
+diff --git a/gone.md b/gone.md
+deleted file mode 100644
+--- a/gone.md
++++ /dev/null
+@@ -1,2 +0,0 @@
+-# Gone
+-bye
+`;
+
+test("parseHunkHeader reads ranges and the section", () => {
+  assert.deepStrictEqual(parseHunkHeader("@@ -10,6 +12,8 @@ function foo()"), {
+    oldStart: 10,
+    oldLines: 6,
+    newStart: 12,
+    newLines: 8,
+    section: "function foo()",
+  });
+  assert.deepStrictEqual(parseHunkHeader("@@ -1 +1 @@"), {
+    oldStart: 1,
+    oldLines: 1,
+    newStart: 1,
+    newLines: 1,
+    section: "",
+  });
+  assert.strictEqual(parseHunkHeader("+@@ not a header"), null);
+});
+
+test("parseUnifiedDiff numbers old and new lines", () => {
+  const [app] = parseUnifiedDiff(DIFF);
+  assert.strictEqual(app.path, "src/app.js");
+  assert.strictEqual(app.hunks.length, 2);
+  assert.deepStrictEqual(
+    app.hunks[0].lines.map((l) => [l.type, l.oldLine, l.newLine]),
+    [
+      ["context", 1, 1],
+      ["del", 2, null],
+      ["add", null, 2],
+      ["add", null, 3],
+      ["context", 3, 4],
+      ["context", 4, 5],
+    ],
+  );
+  // An empty context line whose trailing space was stripped
+  assert.strictEqual(app.hunks[0].lines[4].content, "");
+});
+
+test("parseUnifiedDiff counts positions across hunks", () => {
+  const [app] = parseUnifiedDiff(DIFF);
+  assert.deepStrictEqual(
+    app.hunks[0].lines.map((l) => l.position),
+    [1, 2, 3, 4, 5, 6],
+  );
+  // The second hunk header takes position 7
+  assert.deepStrictEqual(
+    app.hunks[1].lines.map((l) => l.position),
+    [8, 9, 10, 11],
+  );
+});
+
+test("parseUnifiedDiff handles renamed and deleted files", () => {
+  const [, renamed, deleted] = parseUnifiedDiff(DIFF);
+  assert.strictEqual(renamed.oldPath, "old.txt");
+  assert.strictEqual(renamed.path, "new.txt");
+  assert.strictEqual(deleted.newPath, null);
+  assert.strictEqual(deleted.path, "gone.md");
+  assert.deepStrictEqual(
+    deleted.hunks[0].lines.map((l) => l.oldLine),
+    [1, 2],
+  );
+});
+
+test("findDiffLine maps file lines to diff lines", () => {
+  const files = parseUnifiedDiff(DIFF);
+
+  const added = findDiffLine(files, "src/app.js", 3);
+  assert.strictEqual(added.line.type, "add");
+  assert.strictEqual(added.line.content, "const c = 4;");
+
+  const removed = findDiffLine(files, "src/app.js", 21, "old");
+  assert.strictEqual(removed.line.type, "del");
+  assert.strictEqual(removed.line.content, "stop();");
+
+  const context = findDiffLine(files, "src/app.js", 21);
+  assert.strictEqual(context.line.type, "context");
+  assert.strictEqual(context.line.oldLine, 20);
+
+  // Renamed files match either path
+  assert.strictEqual(findDiffLine(files, "old.txt", 1).file.path, "new.txt");
+
+  // Lines outside the hunks are not part of the diff
+  assert.strictEqual(findDiffLine(files, "src/app.js", 10), null);
+  assert.strictEqual(findDiffLine(files, "other.js", 1), null);
+});
+
+test("lastHunkLine returns the commented line of a diff_hunk", () => {
+  const line = lastHunkLine("@@ -20,3 +21,4 @@ function run() {\n start();\n-stop();\n+halt();\n");
+  assert.deepStrictEqual(line, { type: "add", content: "halt();", oldLine: null, newLine: 22 });
+  assert.strictEqual(lastHunkLine(""), null);
+  assert.strictEqual(lastHunkLine("no header"), null);
+});
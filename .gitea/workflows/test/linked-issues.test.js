@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { findReferences } = require("../lib/linked-issues");
+
+const CONTEXT = { owner: "o", repo: "r", hosts: ["gitea:3000", "git.example.com"] };
+
+function refs(text) {
+  return findReferences(text, CONTEXT).map(
+    ({ owner, repo, index, closing }) => `${owner}/${repo}#${index}${closing ? " (closing)" : ""}`,
+  );
+}
+
+test("short references and URLs are found", () => {
+  assert.deepStrictEqual(
+    refs(
+      "See #12 and other/lib#3, also http://gitea:3000/team/app/issues/7 " +
+        "and https://git.example.com/sub/path/o/r/pulls/8.",
+    ),
+    ["o/r#12", "other/lib#3", "team/app#7", "o/r#8"],
+  );
+});
+
+test("closing keywords mark references as closed by the PR", () => {
+  assert.deepStrictEqual(refs("Fixes #1, closes o/x#2\nResolved: #3\nRelated to #4"), [
+    "o/r#1 (closing)",
+    "o/x#2 (closing)",
+    "o/r#3 (closing)",
+    "o/r#4",
+  ]);
+});
+
+test("code, anchors and other hosts are not references", () => {
+  assert.deepStrictEqual(
+    refs(
+      "```\nfixes #1\n```\n`#2` page#3 a/b/c#4 &#5; https://github.com/o/r/issues/6 #0",
+    ),
+    [],
+  );
+});
+
+test("hex colors are not references", () => {
+  assert.deepStrictEqual(refs("color: #000000; background: #123456; border: #12345678; #007 #fff"), []);
+  // Unless they're explicitly references
+  assert.deepStrictEqual(refs("Fixes #123456, o/r#100000"), ["o/r#123456 (closing)", "o/r#100000"]);
+  assert.deepStrictEqual(refs("#123 #1234567"), ["o/r#123", "o/r#1234567"]);
+});
@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { validate } = require("../lib/schema");
+
+const STATUS_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["status"],
+  properties: {
+    status: { type: "string", minLength: 1 },
+    verdict: { enum: ["COMMENT", "APPROVE"] },
+    file_comments: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["file", "line"],
+        properties: {
+          file: { type: "string", pattern: "^[^/]" },
+          line: { type: "integer", minimum: 1 },
+        },
+      },
+    },
+    labels: { anyOf: [{ type: "string" }, { type: "array", items: { type: "string" }, minItems: 1 }] },
+  },
+};
+
+test("a valid value has no errors", () => {
+  const value = {
+    status: "Done",
+    verdict: "APPROVE",
+    file_comments: [{ file: "src/a.js", line: 3 }],
+    labels: ["ready"],
+  };
+  assert.deepStrictEqual(validate(value, STATUS_SCHEMA), []);
+});
+
+test("every problem is reported with its path", () => {
+  const value = {
+    status: "",
+    verdict: "MERGE",
+    file_comments: [{ file: "/etc/passwd", line: 0 }, { line: 2.5 }],
+    extra: true,
+  };
+  assert.deepStrictEqual(validate(value, STATUS_SCHEMA), [
+    "status: must not be empty",
+    'verdict: must be one of COMMENT, APPROVE (got "MERGE")',
+    'file_comments[0].file: must match ^[^/] (got "/etc/passwd")',
+    "file_comments[0].line: must be at least 1 (got 0)",
+    "file_comments[1].file: is required",
+    "file_comments[1].line: must be integer (got number)",
+    "extra: unknown field (expected one of status, verdict, file_comments, labels)",
+  ]);
+});
+
+test("type mismatches stop at the mismatched value", () => {
+  assert.deepStrictEqual(validate("text", STATUS_SCHEMA), ["(root): must be object (got string)"]);
+  assert.deepStrictEqual(validate({ status: "x", file_comments: {} }, STATUS_SCHEMA), [
+    "file_comments: must be array (got object)",
+  ]);
+  assert.deepStrictEqual(validate({}, STATUS_SCHEMA), ["status: is required"]);
+});
+
+test("anyOf reports the closest branch", () => {
+  assert.deepStrictEqual(validate({ status: "x", labels: [] }, STATUS_SCHEMA), [
+    "labels: must have at least 1 item(s)",
+  ]);
+  assert.deepStrictEqual(validate({ status: "x", labels: 3 }, STATUS_SCHEMA), [
+    "labels: must be string or array (got integer)",
+  ]);
+});
+
+test("additionalProperties can hold a schema", () => {
+  const schema = { type: "object", additionalProperties: { type: "number" } };
+  assert.deepStrictEqual(validate({ a: 1, b: 2.5 }, schema), []);
+  assert.deepStrictEqual(validate({ a: "1" }, schema), ["a: must be number (got string)"]);
+});
@@ -2,8 +2,11 @@
 
 set -euo pipefail
 
-# Determine prompt based on agent mode
-if [ "$AGENT_MODE" = "critique" ]; then
+# Determine prompt: the agent registry may provide one, otherwise use the
+# default for the agent mode
+if [ -n "${AGENT_PROMPT:-}" ]; then
+    PROMPT="$AGENT_PROMPT"
+elif [ "$AGENT_MODE" = "critique" ]; then
     PROMPT="Review the current PR implementation. Focus on:
 - Code quality and best practices
 - Potential bugs or edge cases
@@ -11,12 +14,37 @@ if [ "$AGENT_MODE" = "critique" ]; then
 - Architectural decisions
 - Suggestions for improvement
 
-Provide detailed feedback and make any improvements you think are necessary."
+Provide detailed feedback and make any improvements you think are necessary.
+Put line-level feedback in file_comments in .pr/status.yaml, and give your
+overall verdict as review.event (APPROVE or REQUEST_CHANGES) with a summary in
+review.body."
+elif [ "$AGENT_MODE" = "plan" ]; then
+    PROMPT="Plan the work for the current PR. Update .pr/plan.md and ask any open
+questions in .pr/status.yaml, but do not change any code."
 else
     PROMPT="Work on the current PR."
 fi
 
-if [[ "$MODELNAME" == "claude-"* ]]; then
+# Extra focus requested with e.g. /critique --focus=security
+if [ -n "${AGENT_FOCUS:-}" ]; then
+    PROMPT="$PROMPT
+
+Focus in particular on: $AGENT_FOCUS"
+fi
+
+# Determine backend: set by the agent registry, or inferred from the model ID
+BACKEND="${AGENT_BACKEND:-}"
+if [ -z "$BACKEND" ]; then
+    if [[ "$MODELNAME" == "claude-"* ]]; then
+        BACKEND="claude"
+    else
+        BACKEND="opencode"
+    fi
+fi
+
+# Keep the progress comment token out of the agent's environment. The agent
+# could still read it from the formatter's, so it must be a comment-only token.
+if [ "$BACKEND" = "claude" ]; then
     echo "Invoking Claude Code..."
 
     # Copy config files with fixed permissions
@@ -34,7 +62,7 @@ if [[ "$MODELNAME" == "claude-"* ]]; then
     fi
     mv /bin/CLAUDE.md ./CLAUDE.md
 
-    claude --model $MODELNAME --output-format stream-json --verbose -p "$PROMPT" | node .gitea/workflows/format-claude-output.js
+    env -u LAFORGE_PROGRESS_TOKEN claude --model $MODELNAME --output-format stream-json --verbose -p "$PROMPT" | node .gitea/workflows/format-claude-output.js
 
     # Check if there are changes outside of the .pr directory
     if git diff --quiet HEAD -- ':!.pr'; then
@@ -42,7 +70,7 @@ if [[ "$MODELNAME" == "claude-"* ]]; then
     else
         # Check if .pr/commit.md file exists. If it doesn't, create it.
         if [ ! -f .pr/commit.md ]; then
-            claude --model $MODELNAME --output-format stream-json --verbose -c -p "Write a commit message to .pr/commit.md" | node .gitea/workflows/format-claude-output.js
+            env -u LAFORGE_PROGRESS_TOKEN claude --model $MODELNAME --output-format stream-json --verbose -c -p "Write a commit message to .pr/commit.md" | node .gitea/workflows/format-claude-output.js
         fi
     fi
 
@@ -57,12 +85,27 @@ else
     mkdir -p ~/.config/opencode
     cat /bin/opencode.json |sed -r "s#%LMSTUDIO_HOST%#$LMSTUDIO_HOST#" > ~/.config/opencode/opencode.json
 
+    # Register LM Studio models from the agent registry that the bundled config doesn't list
+    if [[ "$MODELNAME" == "lmstudio/"* ]]; then
+        node -e '
+const fs = require("fs");
+const file = process.argv[1];
+const model = process.argv[2].replace(/^lmstudio\//, "");
+const config = JSON.parse(fs.readFileSync(file, "utf8"));
+const models = config.provider.lmstudio.models;
+if (!models[model]) {
+  models[model] = { name: model };
+  fs.writeFileSync(file, JSON.stringify(config, null, 2));
+}
+' ~/.config/opencode/opencode.json "$MODELNAME"
+    fi
+
     if [ -f AGENTS.md ]; then
         mv AGENTS.md .pr/AGENTS-PROJECT.md
     fi
     mv /bin/CLAUDE.md ./AGENTS.md
 
-    opencode -m $MODELNAME run "$PROMPT"
+    env -u LAFORGE_PROGRESS_TOKEN opencode -m $MODELNAME run --format json "$PROMPT" | node .gitea/workflows/format-opencode-output.js
 
     # Check if there are changes outside of the .pr directory
     if git diff --quiet HEAD -- ':!.pr'; then
@@ -70,7 +113,7 @@ else
     else
         # Check if .pr/commit.md file exists. If it doesn't, create it.
         if [ ! -f .pr/commit.md ]; then
-            opencode -m $MODELNAME run "Write a commit message to .pr/commit.md"
+            env -u LAFORGE_PROGRESS_TOKEN opencode -m $MODELNAME run --format json "Write a commit message to .pr/commit.md" | node .gitea/workflows/format-opencode-output.js
         fi
     fi
 